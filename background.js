@@ -1,139 +1,859 @@
 // background.js — MV3 Service Worker
 // Handles alarm scheduling and fires ghost commits throughout the day.
-// Supports both random (spread across 06–22) and fixed-time scheduling.
+// Random mode precomputes the day's commit times inside that weekday's active
+// window and sets one alarm per commit; fixed-time mode polls every 5 minutes.
+// All day boundaries follow config.timezone; paused and blacked-out days get
+// no commits and resume on their own. Missed days can be backfilled
+// with backdated commits.
 
-import { createGhostCommit } from "./github-api.js";
+import { classifyError, isRefError, openErrors } from "./errors.js";
+import {
+  createGhostCommit,
+  getLatestCommitSha,
+  getRepo,
+  listCommits,
+  setApiBase,
+  tokenExpiryWarning,
+  validateToken,
+} from "./github-api.js";
+import { getJournalQueue, journalFile, removeNotes } from "./journal.js";
+import { NOTIFY_TYPES, inQuietHours, notificationSettings } from "./notify.js";
+import { renderTemplate, templateContext, templateFor } from "./template.js";
+import { getOAuthSettings, pollForToken, requestDeviceCode } from "./oauth.js";
+import { signPayload } from "./pgp.js";
+import { openSecret, resolveToken } from "./vault.js";
+import {
+  addDays,
+  dateKey,
+  dayRule,
+  daysBetween,
+  minutesOfDay,
+  toMinutes,
+  zonedDate,
+} from "./schedule.js";
 
 const ALARM_NAME = "ghost-tick";
 const ALARM_PERIOD_MINUTES = 5; // check every 5 min (needed for fixed-time accuracy)
+const PLAN_ALARM_PREFIX = "ghost-commit:";
+const ROLLOVER_ALARM = "ghost-rollover";
+const PLAN_RETRY_MINUTES = 10;
+const PLAN_MAX_ATTEMPTS = 3;
+const SLOT_MAX_ATTEMPTS = 3; // tries per fixed slot before it's marked failed
+const BACKFILL_ALARM = "ghost-backfill";
+const BACKFILL_MAX_DAYS = 366;
+const HISTORY_MAX = 5000;
+const SYNC_MAX_PAGES = 30; // 100 commits per page
+const SYNC_STALE_MS = 24 * 60 * 60 * 1000;
+const REMOTE_COUNT_MAX_PAGES = 3; // 100 commits per page
+const TARGET_CHECK_PREFIX = "ghost-target-check:";
+const TARGET_CHECK_GRACE_MINUTES = 30; // room for planned-commit retries
+const NOTIFY_PREFIX = "ghost-notify:";
+const TOKEN_CHECK_ALARM = "ghost-token-check";
+const TOKEN_CHECK_STALE_MS = 24 * 60 * 60 * 1000;
 
 // ─── Helpers ────────────────────────────────────────────────
 
-function todayKey() {
-  return new Date().toISOString().slice(0, 10); // "YYYY-MM-DD"
+// "YYYY-MM-DD" in the configured timezone (browser zone when unset).
+async function todayKey() {
+  const config = await getConfig();
+  return dateKey(new Date(), config?.timezone);
 }
 
-function nowHHMM() {
-  const d = new Date();
-  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+// A random second within `minutes` after midnight of `key` in `tz`.
+function randomInstant(key, minutes, tz) {
+  const t = zonedDate(key, Math.floor(minutes), tz);
+  return new Date(t.getTime() + Math.floor(Math.random() * 60) * 1000);
 }
 
+/**
+ * Config with a usable `token`. With an encrypted token (vault.js) and no
+ * session key, `token` is null and `locked` is set — never write this object
+ * back to storage.
+ */
 async function getConfig() {
   const { config } = await chrome.storage.local.get("config");
-  return config || null;
+  if (!config) return null;
+  setApiBase(config.apiBase);
+  if (!config.tokenVault) return config;
+  const token = await resolveToken(config);
+  return { ...config, token, locked: !token };
 }
 
 async function getDailyState() {
   const { dailyState } = await chrome.storage.local.get("dailyState");
-  const today = todayKey();
+  const today = await todayKey();
   if (dailyState && dailyState.date === today) return dailyState;
   const fresh = { date: today, count: 0, firedSlots: [] };
   await chrome.storage.local.set({ dailyState: fresh });
   return fresh;
 }
 
-async function incrementDailyCount(slot = null) {
+async function incrementDailyCount(slot = null, outcome = null) {
   const state = await getDailyState();
   state.count += 1;
   if (slot) {
     state.firedSlots = state.firedSlots || [];
     state.firedSlots.push(slot);
   }
+  if (slot && outcome) {
+    state.slotOutcomes = state.slotOutcomes || {};
+    state.slotOutcomes[slot] = outcome;
+  }
   await chrome.storage.local.set({ dailyState: state });
   return state;
 }
 
+// Failed tries per fixed slot today; returns the new count for `slot`.
+async function countSlotAttempt(slot) {
+  const state = await getDailyState();
+  state.slotAttempts = state.slotAttempts || {};
+  state.slotAttempts[slot] = (state.slotAttempts[slot] || 0) + 1;
+  await chrome.storage.local.set({ dailyState: state });
+  return state.slotAttempts[slot];
+}
+
+async function markSlots(slots, outcome) {
+  const state = await getDailyState();
+  state.slotOutcomes = state.slotOutcomes || {};
+  for (const slot of slots) state.slotOutcomes[slot] = outcome;
+  await chrome.storage.local.set({ dailyState: state });
+}
+
 async function setLastCommitInfo(sha, date) {
   await chrome.storage.local.set({ lastCommit: { sha, date } });
 }
 
-async function logError(message) {
+// Backdated commits must not move LAST_PUSH backwards.
+async function setLastCommitInfoIfNewer(sha, date) {
+  const { lastCommit } = await chrome.storage.local.get("lastCommit");
+  if (lastCommit && new Date(lastCommit.date) >= new Date(date)) return;
+  await setLastCommitInfo(sha, date);
+}
+
+// Commit journal: newest first, shared with syncFromRepo (which fills in
+// commits this device never saw).
+async function recordCommit(config, entry) {
+  const { commitHistory } = await chrome.storage.local.get("commitHistory");
+  const history = commitHistory || [];
+  history.unshift({ ...entry, repo: `${config.owner}/${config.repo}` });
+  await chrome.storage.local.set({ commitHistory: history.slice(0, HISTORY_MAX) });
+}
+
+async function logError(message, extra = {}) {
   const { errorLog } = await chrome.storage.local.get("errorLog");
   const log = errorLog || [];
-  log.unshift({ message, time: new Date().toISOString() });
+  log.unshift({ message, time: new Date().toISOString(), kind: "other", ...extra });
   await chrome.storage.local.set({ errorLog: log.slice(0, 20) });
 }
 
+/**
+ * Mark everything logged so far as dealt with — after a commit or sync goes
+ * through, or when the user dismisses the error panel.
+ */
+async function resolveErrors() {
+  await chrome.storage.local.set({ errorsResolvedAt: new Date().toISOString() });
+}
+
+/**
+ * Toolbar badge: "LOCK" while an encrypted token waits for its passphrase,
+ * "!" while the error log holds unresolved entries, else the days left
+ * ("3d") once the token is close to expiring. Kept in step by the storage
+ * listener below, so a TERMINATE clears it too.
+ */
+async function refreshBadge() {
+  const { errorLog, errorsResolvedAt, config } = await chrome.storage.local.get([
+    "errorLog",
+    "errorsResolvedAt",
+    "config",
+  ]);
+  if (config?.tokenVault && !(await resolveToken(config))) {
+    await chrome.action.setBadgeText({ text: "LOCK" });
+    await chrome.action.setBadgeBackgroundColor({ color: "#555555" });
+    return;
+  }
+  if (openErrors(errorLog, errorsResolvedAt).length > 0) {
+    await chrome.action.setBadgeText({ text: "!" });
+    await chrome.action.setBadgeBackgroundColor({ color: "#ff0040" });
+    return;
+  }
+  const warning = tokenExpiryWarning(config?.tokenExpiresAt);
+  if (warning) {
+    await chrome.action.setBadgeText({ text: warning.level ? `${warning.daysLeft}d` : "!" });
+    await chrome.action.setBadgeBackgroundColor({ color: warning.level ? "#ffaa00" : "#ff0040" });
+    return;
+  }
+  await chrome.action.setBadgeText({ text: "" });
+}
+
+/**
+ * Log a failed commit attempt. Rate limits are recorded as a deferral (with
+ * the time work resumes) rather than a failure, and pause the fixed-mode
+ * tick until then.
+ */
+async function logFailure(err, prefix = "") {
+  const message = prefix + (err.message || String(err));
+  if (err.rateLimited) {
+    const deferredUntil = new Date(err.retryAt).toISOString();
+    console.warn(`[Ghost Commits] ⏳ Deferred until ${deferredUntil} —`, message);
+    await chrome.storage.local.set({ deferredUntil });
+    await logError(`Deferred until ${new Date(err.retryAt).toLocaleTimeString()} — ${message}`, {
+      kind: "rate_limit",
+      deferredUntil,
+    });
+    return;
+  }
+  console.error("[Ghost Commits] ❌", err);
+  await logError(message, { kind: classifyError(err) });
+}
+
+// ─── Notifications ──────────────────────────────────────────
+// Opt-in desktop notifications (see notify.js). Anything raised during quiet
+// hours is dropped, not queued. The id carries the popup view a click opens.
+
+async function notify(config, type, title, message) {
+  const settings = notificationSettings(config);
+  if (!settings.enabled || !settings.types[type]) return false;
+  if (inQuietHours(settings, minutesOfDay(new Date(), config.timezone))) return false;
+  await chrome.notifications.create(`${NOTIFY_PREFIX}${NOTIFY_TYPES[type].view}:${Date.now()}`, {
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title,
+    message,
+    priority: type === "reached" ? 0 : 1,
+  });
+  return true;
+}
+
+/**
+ * Notify about a failed commit or sync. A rejected token or a missing repo is
+ * reported at once, but only once until something succeeds again; other
+ * failures only when `final` (no retries left).
+ */
+async function notifyFailure(config, err, what, final = true) {
+  if (err.rateLimited) return;
+  const kind = classifyError(err);
+  if (kind === "auth" || kind === "missing") {
+    const type = kind === "auth" ? "token" : "repo";
+    const { notifiedAt = {}, errorsResolvedAt } = await chrome.storage.local.get([
+      "notifiedAt",
+      "errorsResolvedAt",
+    ]);
+    if (notifiedAt[type] && !(errorsResolvedAt > notifiedAt[type])) return;
+    const sent = await notify(
+      config,
+      type,
+      kind === "auth" ? "GitHub token rejected" : "Ghost repo not found",
+      kind === "auth"
+        ? "The token was revoked or has expired. Ghost commits are stopped until it is replaced."
+        : `${config.owner}/${config.repo} is gone or no longer reachable with this token.`
+    );
+    if (sent) {
+      notifiedAt[type] = new Date().toISOString();
+      await chrome.storage.local.set({ notifiedAt });
+    }
+    return;
+  }
+  if (final && kind !== "busy") {
+    await notify(config, "failure", `${what} failed`, err.message || String(err));
+  }
+}
+
+/**
+ * Minutes after midnight on day `key` to check whether its target was met —
+ * the end of the active window, or of the last fixed slot, plus a grace
+ * period; capped to the same day — and that target. Null on days off.
+ */
+function targetCheckFor(config, key) {
+  const rule = dayRule(config, key);
+  if (!rule.enabled) return null;
+  let target = rule.commits;
+  let end = toMinutes(rule.end);
+  if ((config.scheduleMode || "random") === "fixed") {
+    const times = [...(config.fixedTimes || [])].sort().slice(0, rule.commits);
+    if (!times.length) return null;
+    target = times.length;
+    end = toMinutes(times[times.length - 1]) + ALARM_PERIOD_MINUTES;
+  }
+  return { minutes: Math.min(end + TARGET_CHECK_GRACE_MINUTES, 24 * 60 - 1), target };
+}
+
+async function clearTargetChecks() {
+  const alarms = await chrome.alarms.getAll();
+  await Promise.all(
+    alarms
+      .filter((a) => a.name.startsWith(TARGET_CHECK_PREFIX))
+      .map((a) => chrome.alarms.clear(a.name))
+  );
+}
+
+async function scheduleTargetCheck(config) {
+  await clearTargetChecks();
+
+  const today = dateKey(new Date(), config.timezone);
+  for (let i = 0; i < 7; i++) {
+    const key = addDays(today, i);
+    const check = targetCheckFor(config, key);
+    if (!check) continue;
+    const when = zonedDate(key, check.minutes, config.timezone).getTime();
+    if (when <= Date.now()) continue;
+    chrome.alarms.create(TARGET_CHECK_PREFIX + key, { when });
+    return;
+  }
+  // A week off: look again in a week.
+  chrome.alarms.create(TARGET_CHECK_PREFIX + addDays(today, 7), {
+    when: zonedDate(addDays(today, 7), 0, config.timezone).getTime(),
+  });
+}
+
+async function checkDailyTarget(key) {
+  const config = await getConfig();
+  if (!config?.enabled) return;
+  try {
+    const check = targetCheckFor(config, key);
+    if (!check || key !== dateKey(new Date(), config.timezone)) return;
+
+    const state = await getDailyState();
+    let count = state.count;
+    if ({ repoCheck: true, ...config.coordination }.repoCheck) {
+      count = Math.max(count, (await remoteCountToday(config)) ?? 0);
+    }
+    if (count < check.target) {
+      await notify(
+        config,
+        "missed",
+        "Daily target missed",
+        `${count}/${check.target} ghost commits today — the active window has closed.`
+      );
+    }
+  } finally {
+    await scheduleTargetCheck(config);
+  }
+}
+
+async function notifyTargetReached(config, count, target) {
+  if (count !== target) return;
+  await notify(config, "reached", "Daily target reached", `${target}/${target} ghost commits today.`);
+}
+
 // ─── Commit execution ───────────────────────────────────────
 
 // Mutex: prevent two commits from running at the same time.
-let commitLock = false;
+// The lock is a lease in chrome.storage so it survives the service worker
+// being torn down mid-commit; the expiry frees it if the holder never returns.
+// One commit can outlast a lease — request() waits out rate limits and
+// timeouts, and a commit makes up to three attempts of several requests —
+// so the holder renews it while the commit runs.
+const LOCK_LEASE_MS = 5 * 60 * 1000;
+const LOCK_RENEW_MS = 60 * 1000;
+
+async function tryAcquireLock() {
+  const { commitLock } = await chrome.storage.local.get("commitLock");
+  if (commitLock && commitLock.expiresAt > Date.now()) return null;
+
+  const lease = { id: crypto.randomUUID(), expiresAt: Date.now() + LOCK_LEASE_MS };
+  await chrome.storage.local.set({ commitLock: lease });
+  return lease.id;
+}
+
+// Acquisitions are serialized in-process, so read-then-write above can't
+// interleave between two callers in this worker.
+let lockQueue = Promise.resolve();
 
-async function doCommit(config) {
-  if (commitLock) {
+function acquireLock() {
+  const attempt = lockQueue.then(tryAcquireLock);
+  lockQueue = attempt.catch(() => {});
+  return attempt;
+}
+
+/**
+ * Push the lease's expiry out again, if `id` still holds it.
+ */
+async function renewLock(id) {
+  const { commitLock } = await chrome.storage.local.get("commitLock");
+  if (commitLock?.id !== id) return;
+  await chrome.storage.local.set({ commitLock: { id, expiresAt: Date.now() + LOCK_LEASE_MS } });
+}
+
+async function releaseLock(id) {
+  const { commitLock } = await chrome.storage.local.get("commitLock");
+  if (commitLock?.id === id) await chrome.storage.local.remove("commitLock");
+}
+
+/**
+ * What a commit writes: queued journal notes when journal mode is on and
+ * there are some, else the rendered template. Backdated commits never take
+ * notes — they were written today. Returns { file, notes }.
+ */
+async function commitFile(config, mode, commitDate, counter) {
+  const date = commitDate ? new Date(commitDate) : new Date();
+  const notes = config.journal?.enabled && !commitDate ? await getJournalQueue() : [];
+  if (notes.length) {
+    return { file: journalFile(notes, date, config.timezone), notes };
+  }
+  const template = templateFor(config);
+  const file = renderTemplate(
+    template,
+    templateContext({ date, timeZone: config.timezone, counter, mode, words: template.words })
+  );
+  return { file, notes };
+}
+
+/**
+ * sign(payload) for createGhostCommit when a signing key is set up, else
+ * null. The key is sealed with the token vault, so it opens whenever the
+ * token does — and only once a commit is actually signed.
+ */
+function commitSigner(config) {
+  if (!config.signingKey) return null;
+  return async (payload) => {
+    const jwk = await openSecret(config.signingKey.sealed);
+    if (!jwk) throw new Error("SIGNING: the signing key can't be read — import it again");
+    return signPayload({ ...config.signingKey, jwk: JSON.parse(jwk) }, payload);
+  };
+}
+
+/**
+ * Run one commit under the lock and journal the outcome. `mode` is what
+ * triggered it: "random" | "fixed" | "force" | "backfill".
+ */
+async function doCommit(config, mode, commitDate = null) {
+  if (config.locked) throw new Error("LOCKED: unlock the token in the popup");
+  const lockId = await acquireLock();
+  if (!lockId) {
     throw new Error("BUSY: a commit is already in progress");
   }
-  commitLock = true;
+  const renewal = setInterval(() => renewLock(lockId).catch(() => {}), LOCK_RENEW_MS);
   try {
+    const { commitCounter } = await chrome.storage.local.get("commitCounter");
+    const counter = (commitCounter || 0) + 1;
+    const { file, notes } = await commitFile(config, mode, commitDate, counter);
     const result = await createGhostCommit(
       config.token,
       config.owner,
       config.repo,
       config.email,
-      config.authorName
+      config.authorName,
+      commitDate,
+      {
+        backend: config.commitBackend || "auto",
+        branch: config.branch || "main",
+        path: file.path || config.filePath,
+        content: file.content,
+        message: file.message,
+        append: file.append,
+        sign: commitSigner(config),
+      }
     );
+    // {{counter}} only advances on commits that landed.
+    await chrome.storage.local.set({ commitCounter: counter });
+    if (notes.length) await removeNotes(notes.map((n) => n.id));
+    await recordCommit(config, { sha: result.sha, date: result.date, mode, result: "success" });
+    await resolveErrors();
     return result;
+  } catch (err) {
+    if (isRefError(err)) await revalidateBranch(config);
+    // A rate-limit deferral isn't a failed commit — it runs again later.
+    if (!err.rateLimited) {
+      await recordCommit(config, {
+        sha: null,
+        date: commitDate || new Date().toISOString(),
+        mode,
+        result: "failure",
+        error: err.message || String(err),
+      });
+    }
+    throw err;
   } finally {
-    commitLock = false;
+    clearInterval(renewal);
+    await releaseLock(lockId);
+  }
+}
+
+/**
+ * A ref error means config.branch is gone — renamed, deleted, or the repo
+ * was recreated with another default. If the branch really doesn't exist,
+ * switch to the repo's default branch so retries can succeed.
+ */
+async function revalidateBranch(config) {
+  const branch = config.branch || "main";
+  let repo;
+  try {
+    repo = await getRepo(config.token, config.owner, config.repo);
+    await getLatestCommitSha(config.token, config.owner, config.repo, branch);
+    return; // still there — the error was something else
+  } catch (err) {
+    if (!repo || !isRefError(err)) return;
   }
+
+  const { config: stored } = await chrome.storage.local.get("config");
+  if (!stored || (stored.branch || "main") !== branch) return;
+  stored.branch = repo.default_branch;
+  stored.defaultBranch = repo.default_branch;
+  await chrome.storage.local.set({ config: stored });
+  await logError(
+    `Branch "${branch}" not found — switched to the default branch "${repo.default_branch}"`,
+    { kind: "missing" }
+  );
 }
 
-// ─── Core: Random mode ──────────────────────────────────────
+// ─── Multi-device coordination ──────────────────────────────
+// Installs on several machines under one GitHub account share one daily
+// target instead of each hitting it:
+//   repoCheck  — count today's commits by this account in the ghost repo
+//   syncBudget — (opt-in) claim each commit in chrome.storage.sync, which
+//                every browser signed into the same Chrome profile sees
 
-async function maybeCommitRandom(config) {
+async function getInstanceId() {
+  const { instanceId } = await chrome.storage.local.get("instanceId");
+  if (instanceId) return instanceId;
+  const id = crypto.randomUUID();
+  await chrome.storage.local.set({ instanceId: id });
+  return id;
+}
+
+/**
+ * Commits by this account in the ghost repo today, or null when the check
+ * fails — a flaky count should never block the commit itself.
+ *
+ * Counted by author date, like syncFromRepo. The API's since/until filter
+ * on the committer date, which for a backfilled commit is when it was made,
+ * so `since` only narrows the listing and backfills are dropped here.
+ */
+async function remoteCountToday(config) {
+  if (!config.token) return null;
+  const today = dateKey(new Date(), config.timezone);
+  try {
+    let count = 0;
+    for (let page = 1; page <= REMOTE_COUNT_MAX_PAGES; page++) {
+      const commits = await listCommits(config.token, config.owner, config.repo, {
+        sha: config.branch || "main",
+        author: config.login || config.owner,
+        since: zonedDate(today, 0, config.timezone).toISOString(),
+        per_page: 100,
+        page,
+      });
+      count += commits.filter(
+        (c) => dateKey(new Date(c.commit.author.date), config.timezone) === today
+      ).length;
+      if (commits.length < 100) break;
+    }
+    return count;
+  } catch (err) {
+    console.warn("[Ghost Commits] Repo commit count unavailable:", err.message);
+    return null;
+  }
+}
+
+async function getSyncClaims(date) {
+  const { dailyClaims } = await chrome.storage.sync.get("dailyClaims");
+  return dailyClaims?.date === date ? dailyClaims : { date, claims: [] };
+}
+
+/**
+ * May this device fire a scheduled commit toward `target`? Claims a share of
+ * the synced budget when it may. Returns { ok, reason, claimId }.
+ */
+async function claimDailyBudget(config, target, slot = null) {
+  const coordination = { repoCheck: true, syncBudget: false, ...config.coordination };
   const state = await getDailyState();
-  const target = config.commitsPerDay || 1;
+  let done = state.count;
 
-  if (state.count >= target) return;
+  if (coordination.repoCheck) {
+    const remote = await remoteCountToday(config);
+    if (remote !== null) done = Math.max(done, remote);
+  }
+  if (done >= target) {
+    return { ok: false, reason: `target met across devices (${done}/${target})` };
+  }
+  if (!coordination.syncBudget) return { ok: true, claimId: null };
 
-  const checksPerDay = (16 * 60) / ALARM_PERIOD_MINUTES;
-  const remaining = target - state.count;
-  const checksLeft = Math.max(1, checksPerDay - state.count);
-  const probability = remaining / checksLeft;
+  const instance = await getInstanceId();
+  const budget = await getSyncClaims(state.date);
+  if (slot && budget.claims.some((c) => c.slot === slot && c.instance !== instance)) {
+    return { ok: false, reason: `slot ${slot} claimed by another device` };
+  }
+  if (budget.claims.length >= target) {
+    return { ok: false, reason: `shared budget used (${budget.claims.length}/${target})` };
+  }
 
-  const hour = new Date().getHours();
-  // Outside 6 AM – 10 PM window? Skip (unless forcing)
-  if (hour < 6 || hour >= 22) return;
+  const claimId = crypto.randomUUID();
+  budget.claims.push({ id: claimId, instance, slot, at: new Date().toISOString() });
+  await chrome.storage.sync.set({ dailyClaims: budget });
+  return { ok: true, claimId };
+}
 
-  const forceWindow = hour >= 21;
-  if (!forceWindow && Math.random() > probability) return;
+// Give a claim back when its commit failed.
+async function releaseClaim(date, claimId) {
+  if (!claimId) return;
+  const budget = await getSyncClaims(date);
+  budget.claims = budget.claims.filter((c) => c.id !== claimId);
+  await chrome.storage.sync.set({ dailyClaims: budget });
+}
 
-  const result = await doCommit(config);
-  await incrementDailyCount();
-  await setLastCommitInfo(result.sha, result.date);
+// ─── Core: Random mode (daily plan) ─────────────────────────
 
-  console.log(
-    `[Ghost Commits] ✅ Random commit ${state.count + 1}/${target} — ${result.sha.slice(0, 7)}`
+async function getPlan() {
+  const { dailyPlan } = await chrome.storage.local.get("dailyPlan");
+  return dailyPlan || null;
+}
+
+async function savePlan(plan) {
+  await chrome.storage.local.set({ dailyPlan: plan });
+}
+
+/**
+ * Pick `count` random times on day `key` between `fromMins` and `toMins`
+ * (minutes after midnight in `tz`), one per equal sub-window so they never
+ * bunch up.
+ */
+function pickRandomTimes(key, tz, count, fromMins, toMins) {
+  const gap = (toMins - fromMins) / count;
+  const times = [];
+  for (let i = 0; i < count; i++) {
+    const mins = fromMins + gap * i + Math.random() * gap;
+    times.push(randomInstant(key, mins, tz).toISOString());
+  }
+  return times;
+}
+
+/**
+ * Build today's plan. Entries already fired (or given up on) are kept when
+ * re-planning mid-day; only the remaining commits are spread over what is
+ * left of the window.
+ */
+async function buildPlan(config, previous) {
+  const tz = config.timezone;
+  const now = new Date();
+  const date = dateKey(now, tz);
+  const rule = dayRule(config, date);
+  const target = rule.enabled ? rule.commits : 0;
+  const kept =
+    previous?.date === date
+      ? previous.entries.filter((e) => e.status !== "pending")
+      : [];
+
+  const state = await getDailyState();
+  const remaining = Math.max(0, target - state.count);
+  const from = Math.max(toMinutes(rule.start), minutesOfDay(now, tz) + 1);
+  const end = toMinutes(rule.end);
+
+  const pending =
+    remaining > 0 && from < end
+      ? pickRandomTimes(date, tz, remaining, from, end).map((at) => ({
+          id: at,
+          at,
+          status: "pending",
+          attempts: 0,
+        }))
+      : [];
+
+  return { date, target, entries: [...kept, ...pending] };
+}
+
+async function clearPlanAlarms() {
+  const alarms = await chrome.alarms.getAll();
+  await Promise.all(
+    alarms
+      .filter((a) => a.name.startsWith(PLAN_ALARM_PREFIX))
+      .map((a) => chrome.alarms.clear(a.name))
   );
 }
 
+async function syncPlanAlarms(plan) {
+  await clearPlanAlarms();
+  for (const entry of plan.entries) {
+    if (entry.status !== "pending") continue;
+    // Past-due alarms fire right away, which catches up after a sleep.
+    chrome.alarms.create(PLAN_ALARM_PREFIX + entry.id, {
+      when: new Date(entry.at).getTime(),
+    });
+  }
+}
+
+// Re-plan one minute after midnight in the configured timezone.
+function scheduleRollover(config) {
+  const tomorrow = addDays(dateKey(new Date(), config.timezone), 1);
+  chrome.alarms.create(ROLLOVER_ALARM, {
+    when: zonedDate(tomorrow, 1, config.timezone).getTime(),
+  });
+}
+
+async function ensurePlan(config, { rebuild = false } = {}) {
+  let plan = await getPlan();
+  if (rebuild || !plan || plan.date !== dateKey(new Date(), config.timezone)) {
+    plan = await buildPlan(config, plan);
+    await savePlan(plan);
+    const pending = plan.entries.filter((e) => e.status === "pending");
+    console.log(
+      `[Ghost Commits] 🗓 Plan for ${plan.date}: ${pending.length} commit(s) pending`
+    );
+  }
+  await syncPlanAlarms(plan);
+  scheduleRollover(config);
+}
+
+async function runPlannedCommit(id) {
+  const config = await getConfig();
+  // Locked: the entry stays pending and runs once unlocked (see onUnlocked).
+  if (!config || !config.enabled || config.locked) return;
+  if ((config.scheduleMode || "random") !== "random") return;
+
+  const plan = await getPlan();
+  const entry = plan?.entries.find((e) => e.id === id);
+  if (!entry || entry.status !== "pending") return;
+
+  const state = await getDailyState();
+  const target = plan.target;
+  // Force commits or other devices may already have covered today's target.
+  const claim = await claimDailyBudget(config, target);
+  if (!claim.ok) {
+    entry.status = "skipped";
+    entry.reason = claim.reason;
+    await savePlan(plan);
+    console.log(`[Ghost Commits] ⏭ Planned commit skipped — ${claim.reason}`);
+    return;
+  }
+
+  try {
+    const result = await doCommit(config, "random");
+    const updated = await incrementDailyCount();
+    await setLastCommitInfo(result.sha, result.date);
+    entry.status = "done";
+    entry.sha = result.sha;
+    await notifyTargetReached(config, updated.count, target);
+
+    console.log(
+      `[Ghost Commits] ✅ Random commit ${state.count + 1}/${target} — ${result.sha.slice(0, 7)}`
+    );
+  } catch (err) {
+    await releaseClaim(state.date, claim.claimId);
+    if (err.rateLimited) {
+      // Not a failure: push this commit past the reset without using up a retry.
+      entry.at = new Date(err.retryAt + Math.random() * 60000).toISOString();
+      entry.reason = "rate_limited";
+      chrome.alarms.create(PLAN_ALARM_PREFIX + entry.id, {
+        when: new Date(entry.at).getTime(),
+      });
+      throw err;
+    }
+    entry.attempts += 1;
+    if (entry.attempts < PLAN_MAX_ATTEMPTS) {
+      entry.at = new Date(Date.now() + PLAN_RETRY_MINUTES * 60000).toISOString();
+      chrome.alarms.create(PLAN_ALARM_PREFIX + entry.id, {
+        when: new Date(entry.at).getTime(),
+      });
+    } else {
+      entry.status = "failed";
+    }
+    await notifyFailure(config, err, "Scheduled commit", entry.status === "failed");
+    throw err;
+  } finally {
+    await savePlan(plan);
+  }
+}
+
+// Several past-due alarms can fire at once after a wake — run them in turn
+// instead of racing for the commit lock.
+let planQueue = Promise.resolve();
+
+function enqueuePlannedCommit(id) {
+  planQueue = planQueue
+    .then(() => runPlannedCommit(id))
+    .catch((err) => logFailure(err));
+  return planQueue;
+}
+
 // ─── Core: Fixed-time mode ──────────────────────────────────
 
-async function maybeCommitFixed(config) {
+// What to do with a slot whose window passed without firing (browser closed,
+// machine asleep, worker throttled):
+//   "skip"      — record it as missed
+//   "immediate" — fire every missed slot right away
+//   "next_free" — fire one missed slot per tick, on ticks with no slot due
+const MISSED_SLOT_POLICIES = ["skip", "immediate", "next_free"];
+
+async function fireSlot(config, slot, outcome, target) {
+  const claim = await claimDailyBudget(config, target, slot);
+  if (!claim.ok) {
+    await markSlots([slot], "covered");
+    console.log(`[Ghost Commits] ⏭ Slot ${slot} skipped — ${claim.reason}`);
+    return;
+  }
+
+  let result;
+  try {
+    result = await doCommit(config, "fixed");
+  } catch (err) {
+    await releaseClaim((await getDailyState()).date, claim.claimId);
+    // A rate-limit deferral isn't a failed try — ticks sit it out.
+    if (err.rateLimited) throw err;
+    // Missed slots are retried every tick under "immediate": give up after
+    // SLOT_MAX_ATTEMPTS, and only notify then.
+    const final = (await countSlotAttempt(slot)) >= SLOT_MAX_ATTEMPTS;
+    if (final) await markSlots([slot], "failed");
+    await notifyFailure(config, err, `Commit @ ${slot}`, final);
+    throw err;
+  }
+  const updated = await incrementDailyCount(slot, outcome);
+  await setLastCommitInfo(result.sha, result.date);
+  await notifyTargetReached(config, updated.count, target);
+
+  const label = outcome === "caught_up" ? "Caught-up" : "Fixed";
+  console.log(
+    `[Ghost Commits] ✅ ${label} commit @ ${slot} — ${result.sha.slice(0, 7)}`
+  );
+}
+
+/**
+ * `policyOverride` replaces config.missedSlotPolicy for this run only
+ * (retry-now catches up every missed slot).
+ */
+async function maybeCommitFixed(config, policyOverride = null) {
   const state = await getDailyState();
-  const times = config.fixedTimes || [];
-  const now = nowHHMM();
+  const rule = dayRule(config, state.date);
+  if (!rule.enabled) return; // day off
+
+  // Fixed slots ignore the active window, but a lower weekday count keeps
+  // only the earliest slots.
+  const times = [...(config.fixedTimes || [])].sort().slice(0, rule.commits);
+  const nowMins = minutesOfDay(new Date(), config.timezone);
   const firedSlots = state.firedSlots || [];
+  const outcomes = state.slotOutcomes || {};
+  const policy =
+    policyOverride ||
+    (MISSED_SLOT_POLICIES.includes(config.missedSlotPolicy) ? config.missedSlotPolicy : "skip");
 
+  const due = [];
+  const missed = [];
   for (const slot of times) {
     if (firedSlots.includes(slot)) continue; // already fired this slot today
+    if (outcomes[slot] === "missed") continue; // already given up on
+    if (outcomes[slot] === "failed") continue; // out of tries
+    if (outcomes[slot] === "covered") continue; // another device took it
 
-    // Check if current time is within the window [slot, slot + ALARM_PERIOD_MINUTES]
-    const [sh, sm] = slot.split(":").map(Number);
-    const slotMins = sh * 60 + sm;
-    const [nh, nm] = now.split(":").map(Number);
-    const nowMins = nh * 60 + nm;
+    // Due if we're within the window [slot, slot + ALARM_PERIOD_MINUTES],
+    // missed once that window is behind us.
+    const slotMins = toMinutes(slot);
+    if (nowMins < slotMins) continue;
+    if (nowMins < slotMins + ALARM_PERIOD_MINUTES) due.push(slot);
+    else missed.push(slot);
+  }
 
-    // Fire if we're within the alarm window after the slot
-    if (nowMins >= slotMins && nowMins < slotMins + ALARM_PERIOD_MINUTES) {
-      const result = await doCommit(config);
-      await incrementDailyCount(slot);
-      await setLastCommitInfo(result.sha, result.date);
+  for (const slot of due) {
+    await fireSlot(config, slot, "on_time", times.length);
+  }
 
-      console.log(
-        `[Ghost Commits] ✅ Fixed commit @ ${slot} — ${result.sha.slice(0, 7)}`
-      );
+  if (!missed.length) return;
+
+  if (policy === "skip") {
+    await markSlots(missed, "missed");
+    console.log(`[Ghost Commits] ⏭ Missed slot(s) skipped: ${missed.join(", ")}`);
+  } else if (policy === "immediate") {
+    for (const slot of missed) {
+      await fireSlot(config, slot, "caught_up", times.length);
     }
+  } else if (due.length === 0) {
+    await fireSlot(config, missed[0], "caught_up", times.length);
   }
 }
 
@@ -142,20 +862,85 @@ async function maybeCommitFixed(config) {
 async function tick() {
   try {
     const config = await getConfig();
-    if (!config || !config.enabled) return;
+    if (!config || !config.enabled || config.locked) return;
 
     const mode = config.scheduleMode || "random";
     if (mode === "fixed") {
+      // Sit out ticks until a rate-limit reset; missed slots catch up after.
+      const { deferredUntil } = await chrome.storage.local.get("deferredUntil");
+      if (deferredUntil && Date.parse(deferredUntil) > Date.now()) return;
       await maybeCommitFixed(config);
     } else {
-      await maybeCommitRandom(config);
+      // Random mode runs off its own alarms; just make sure they exist.
+      await ensurePlan(config);
     }
   } catch (err) {
-    console.error("[Ghost Commits] ❌", err);
-    await logError(err.message || String(err));
+    await logFailure(err);
   }
 }
 
+// ─── Retry now ──────────────────────────────────────────────
+
+/**
+ * Run whatever failed or was deferred again right away: failed and retrying
+ * planned commits, fixed slots not yet fired, and a paused or deferred
+ * backfill. Stays within today's target — unlike a force commit.
+ */
+async function retryNow() {
+  await chrome.storage.local.remove("deferredUntil");
+  const config = await getConfig();
+  if (!config) return { ok: false, error: "Not configured" };
+  if (config.locked) return { ok: false, error: "LOCKED: unlock the token first" };
+
+  const job = await getBackfillJob();
+  if (job?.status === "paused") {
+    await resumeBackfill();
+  } else if (job?.status === "running" && job.deferredUntil) {
+    job.deferredUntil = null;
+    await saveBackfillJob(job);
+    runBackfill();
+  }
+
+  if (!config.enabled) return { ok: true };
+
+  if ((config.scheduleMode || "random") === "fixed") {
+    // Slots that ran out of tries get a fresh set, like failed planned commits.
+    const state = await getDailyState();
+    for (const [slot, outcome] of Object.entries(state.slotOutcomes || {})) {
+      if (outcome !== "failed") continue;
+      delete state.slotOutcomes[slot];
+      delete state.slotAttempts?.[slot];
+    }
+    await chrome.storage.local.set({ dailyState: state });
+    try {
+      await maybeCommitFixed(config, "immediate");
+    } catch (err) {
+      await logFailure(err, "Retry: ");
+      return { ok: false, error: err.message || String(err) };
+    }
+    return { ok: true };
+  }
+
+  const plan = await getPlan();
+  if (plan?.date === (await todayKey())) {
+    const now = new Date().toISOString();
+    for (const entry of plan.entries) {
+      if (entry.status === "failed") {
+        entry.status = "pending";
+        entry.attempts = 0;
+      } else if (entry.status !== "pending" || !(entry.attempts || entry.reason)) {
+        continue; // done, skipped, or not attempted yet
+      }
+      entry.at = now;
+      entry.reason = null;
+    }
+    await savePlan(plan);
+    // Past-due alarms fire right away.
+    await syncPlanAlarms(plan);
+  }
+  return { ok: true };
+}
+
 // ─── Force commit (always fires, retries once on failure) ───
 
 let lastForceCommitTime = 0;
@@ -171,15 +956,16 @@ async function forceCommit() {
   try {
     const config = await getConfig();
     if (!config) throw new Error("Not configured");
+    if (config.locked) return { ok: false, error: "LOCKED: unlock the token first" };
 
     let result;
     try {
-      result = await doCommit(config);
+      result = await doCommit(config, "force");
     } catch (firstErr) {
       // If the lock was busy or a transient git error, wait briefly and retry once
       if (firstErr.message.includes("BUSY")) {
         await new Promise((r) => setTimeout(r, 2000));
-        result = await doCommit(config);
+        result = await doCommit(config, "force");
       } else {
         throw firstErr;
       }
@@ -192,64 +978,593 @@ async function forceCommit() {
     console.log(`[Ghost Commits] ⚡ Force commit — ${result.sha.slice(0, 7)}`);
     return { ok: true, sha: result.sha };
   } catch (err) {
-    console.error("[Ghost Commits] ❌ Force commit failed:", err);
-    await logError(err.message || String(err));
-    return { ok: false, error: err.message || String(err) };
+    await logFailure(err, "Force commit: ");
+    return {
+      ok: false,
+      error: err.rateLimited
+        ? `rate limited until ${new Date(err.retryAt).toLocaleTimeString()}`
+        : err.message || String(err),
+    };
   }
 }
 
-// ─── Alarm management ───────────────────────────────────────
+// ─── Backfill (catch up missed days) ────────────────────────
+
+/**
+ * Spread `perDay` backdated timestamps across 09:00–20:00 (in `tz`) for
+ * every day in [from, to], oldest first. Each commit gets its own sub-window
+ * so the order within a day is stable.
+ */
+function planBackfill(from, to, perDay, tz) {
+  const entries = [];
+  const gap = ((20 - 9) * 60) / perDay;
+
+  for (let key = from; key <= to; key = addDays(key, 1)) {
+    for (let i = 0; i < perDay; i++) {
+      const mins = 9 * 60 + gap * i + Math.random() * gap;
+      entries.push(randomInstant(key, mins, tz).toISOString());
+    }
+  }
+  return entries;
+}
+
+async function getBackfillJob() {
+  const { backfillJob } = await chrome.storage.local.get("backfillJob");
+  return backfillJob || null;
+}
+
+async function saveBackfillJob(job) {
+  await chrome.storage.local.set({ backfillJob: job });
+}
+
+async function startBackfill({ from, to, perDay }) {
+  const config = await getConfig();
+  if (!config) return { ok: false, error: "Not configured" };
+
+  const existing = await getBackfillJob();
+  if (existing?.status === "running") {
+    return { ok: false, error: "A backfill is already running" };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from || "") || !/^\d{4}-\d{2}-\d{2}$/.test(to || "")) {
+    return { ok: false, error: "Pick a start and end date" };
+  }
+  if (from > to) return { ok: false, error: "Start date is after end date" };
+  if (to >= dateKey(new Date(), config.timezone)) {
+    return { ok: false, error: "Backfill only covers days before today" };
+  }
+
+  const days = daysBetween(from, to) + 1;
+  if (days > BACKFILL_MAX_DAYS) {
+    return { ok: false, error: `Range too long (max ${BACKFILL_MAX_DAYS} days)` };
+  }
+
+  const n = Math.min(20, Math.max(1, Number(perDay) || 1));
+  const job = {
+    from,
+    to,
+    perDay: n,
+    entries: planBackfill(from, to, n, config.timezone),
+    next: 0,
+    inFlight: null,
+    status: "running",
+    error: null,
+    startedAt: new Date().toISOString(),
+  };
+  await saveBackfillJob(job);
+  await ensureBackfillAlarm();
+  runBackfill();
+
+  console.log(`[Ghost Commits] ⏪ Backfill ${from} → ${to} (${job.entries.length} commits)`);
+  return { ok: true, total: job.entries.length };
+}
+
+async function resumeBackfill() {
+  const job = await getBackfillJob();
+  if (!job || job.status !== "paused") return { ok: false, error: "Nothing to resume" };
+  job.status = "running";
+  job.error = null;
+  await saveBackfillJob(job);
+  await ensureBackfillAlarm();
+  runBackfill();
+  return { ok: true };
+}
+
+async function cancelBackfill() {
+  const job = await getBackfillJob();
+  if (job && job.status !== "done") {
+    job.status = "cancelled";
+    await saveBackfillJob(job);
+  }
+  await chrome.alarms.clear(BACKFILL_ALARM);
+  return { ok: true };
+}
 
-async function ensureAlarm() {
-  const existing = await chrome.alarms.get(ALARM_NAME);
+// In-memory only: a service-worker restart kills the loop too, and the
+// backfill alarm picks the job up again from the stored `next` index.
+let backfillRunning = false;
+
+/**
+ * { sha, date } of the commit on the branch authored at `at` (a backfill
+ * entry), or null. Author dates come back to the second. The commit, if
+ * any, was the last one made, so the first page has it.
+ */
+async function findBackfilledCommit(config, at) {
+  const seconds = Math.floor(Date.parse(at) / 1000);
+  const commits = await listCommits(config.token, config.owner, config.repo, {
+    sha: config.branch || "main",
+    author: config.login || config.owner,
+    since: new Date(seconds * 1000).toISOString(),
+    per_page: 100,
+  });
+  const match = commits.find(
+    (c) => Math.floor(Date.parse(c.commit.author.date) / 1000) === seconds
+  );
+  return match ? { sha: match.sha, date: match.commit.author.date } : null;
+}
+
+async function runBackfill() {
+  if (backfillRunning) return;
+  backfillRunning = true;
+  try {
+    for (;;) {
+      const job = await getBackfillJob();
+      if (!job || job.status !== "running") break;
+      // Rate limited: the backfill alarm re-enters once the reset has passed.
+      if (job.deferredUntil && Date.parse(job.deferredUntil) > Date.now()) break;
+
+      if (job.next >= job.entries.length) {
+        job.status = "done";
+        job.finishedAt = new Date().toISOString();
+        await saveBackfillJob(job);
+        console.log(`[Ghost Commits] ⏪ Backfill done — ${job.entries.length} commits`);
+        break;
+      }
+
+      const config = await getConfig();
+      if (!config || config.locked) break;
+
+      // `inFlight` marks the entry being committed until `next` moves past it.
+      // Still set for this entry means the last try was cut off (worker torn
+      // down, network error) and may have landed: look before committing again.
+      const at = job.entries[job.next];
+      let result = null;
+      try {
+        if (job.inFlight === at) result = await findBackfilledCommit(config, at);
+        if (!result) {
+          job.inFlight = at;
+          await saveBackfillJob(job);
+          result = await doCommit(config, "backfill", at);
+        }
+      } catch (err) {
+        if (err.message.includes("BUSY")) {
+          // A scheduled or forced commit holds the lock — wait our turn.
+          await new Promise((r) => setTimeout(r, 2000));
+          continue;
+        }
+        await logFailure(err, "Backfill: ");
+        const latest = await getBackfillJob();
+        if (latest && err.rateLimited) {
+          latest.deferredUntil = new Date(err.retryAt).toISOString();
+          await saveBackfillJob(latest);
+        } else if (latest) {
+          const message = err.message || String(err);
+          latest.status = "paused";
+          latest.error = message;
+          await saveBackfillJob(latest);
+          await notifyFailure(config, err, "Backfill");
+        }
+        break;
+      }
+
+      // Re-read so a cancel issued mid-commit is not overwritten.
+      const latest = (await getBackfillJob()) || job;
+      latest.next = job.next + 1;
+      latest.lastSha = result.sha;
+      latest.inFlight = null;
+      latest.deferredUntil = null;
+      await saveBackfillJob(latest);
+      await setLastCommitInfoIfNewer(result.sha, result.date);
+
+      console.log(
+        `[Ghost Commits] ⏪ Backfill ${latest.next}/${job.entries.length} — ${result.sha.slice(0, 7)}`
+      );
+    }
+  } finally {
+    backfillRunning = false;
+    const job = await getBackfillJob();
+    if (job?.status !== "running") await chrome.alarms.clear(BACKFILL_ALARM);
+  }
+}
+
+async function ensureBackfillAlarm() {
+  const existing = await chrome.alarms.get(BACKFILL_ALARM);
   if (!existing) {
-    chrome.alarms.create(ALARM_NAME, {
-      delayInMinutes: 1,
-      periodInMinutes: ALARM_PERIOD_MINUTES,
+    chrome.alarms.create(BACKFILL_ALARM, { periodInMinutes: 1 });
+  }
+}
+
+// ─── Sync from repo ─────────────────────────────────────────
+// chrome.storage is only a cache: the ghost repo itself is the record of
+// what went out. Rebuild today's count, the last push and the commit history
+// from it after a reinstall, a TERMINATE, or on a second browser.
+
+async function syncFromRepo() {
+  const config = await getConfig();
+  if (!config) return { ok: false, error: "Not configured" };
+  if (config.locked) return { ok: false, error: "LOCKED: unlock the token first" };
+
+  const repoName = `${config.owner}/${config.repo}`;
+  const remote = [];
+  try {
+    for (let page = 1; page <= SYNC_MAX_PAGES; page++) {
+      const commits = await listCommits(config.token, config.owner, config.repo, {
+        sha: config.branch || "main",
+        author: config.login || config.owner,
+        per_page: 100,
+        page,
+      });
+      for (const c of commits) {
+        remote.push({
+          sha: c.sha,
+          date: c.commit.author.date,
+          repo: repoName,
+          message: c.commit.message.split("\n")[0],
+        });
+      }
+      if (commits.length < 100) break;
+    }
+  } catch (err) {
+    await logFailure(err, "Sync: ");
+    await notifyFailure(config, err, "Sync", false);
+    return { ok: false, error: err.message || String(err) };
+  }
+
+  // Merge by sha so entries recorded locally keep their extra fields.
+  const { commitHistory } = await chrome.storage.local.get("commitHistory");
+  const local = commitHistory || [];
+  const bySha = new Map(local.filter((e) => e.sha).map((e) => [e.sha, e]));
+  for (const entry of remote) {
+    bySha.set(entry.sha, { ...entry, ...bySha.get(entry.sha) });
+  }
+  const failures = local.filter((e) => !e.sha);
+  const history = [...bySha.values(), ...failures]
+    .sort((a, b) => Date.parse(b.date) - Date.parse(a.date))
+    .slice(0, HISTORY_MAX);
+
+  // Today's count: never lower than what this device already recorded.
+  const state = await getDailyState();
+  const todayRemote = remote.filter(
+    (e) => dateKey(new Date(e.date), config.timezone) === state.date
+  ).length;
+  const countChanged = todayRemote > state.count;
+  if (countChanged) state.count = todayRemote;
+
+  await chrome.storage.local.set({
+    commitHistory: history,
+    dailyState: state,
+    lastSync: { at: new Date().toISOString(), total: remote.length },
+  });
+  const newest = history.find((e) => e.sha);
+  if (newest) await setLastCommitInfoIfNewer(newest.sha, newest.date);
+  await resolveErrors();
+
+  // A higher count means fewer commits left to plan today.
+  if (countChanged && config.enabled) await ensureAlarms(config, { rebuild: true });
+
+  console.log(`[Ghost Commits] 🔄 Synced ${remote.length} commits from ${repoName}`);
+  return { ok: true, total: remote.length, today: state.count };
+}
+
+async function syncIfStale() {
+  const { lastSync } = await chrome.storage.local.get("lastSync");
+  if (lastSync && Date.now() - Date.parse(lastSync.at) < SYNC_STALE_MS) return;
+  await syncFromRepo();
+}
+
+// ─── Token expiry ───────────────────────────────────────────
+// Tokens with an expiry stop working without notice. Re-read the expiry
+// daily (it changes when the token is regenerated on GitHub) and warn
+// TOKEN_WARN_DAYS ahead — each threshold notified once per expiry date.
+
+async function checkToken() {
+  const config = await getConfig();
+  if (!config?.token) return;
+
+  let expiresAt;
+  try {
+    ({ expiresAt } = await validateToken(config.token));
+  } catch (err) {
+    await logFailure(err, "Token check: ");
+    await notifyFailure(config, err, "Token check", false);
+    return;
+  }
+
+  // Re-read so a token replaced meanwhile is not overwritten, and write the
+  // stored config — getConfig's copy may hold the decrypted token.
+  if ((await getConfig())?.token !== config.token) return;
+  const { config: latest } = await chrome.storage.local.get("config");
+  latest.tokenExpiresAt = expiresAt;
+  latest.tokenCheckedAt = new Date().toISOString();
+  await chrome.storage.local.set({ config: latest });
+
+  const warning = tokenExpiryWarning(expiresAt);
+  if (!warning) return;
+  const { tokenWarned } = await chrome.storage.local.get("tokenWarned");
+  if (tokenWarned?.expiresAt === expiresAt && tokenWarned.level <= warning.level) return;
+
+  const when = new Date(expiresAt).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  const sent = await notify(
+    latest,
+    "token",
+    warning.level ? "GitHub token expires soon" : "GitHub token expired",
+    warning.level
+      ? `Expires in ${warning.daysLeft} day${warning.daysLeft === 1 ? "" : "s"} (${when}). Replace it to keep commits going.`
+      : "Ghost commits are stopped until the token is replaced."
+  );
+  if (sent) {
+    await chrome.storage.local.set({ tokenWarned: { expiresAt, level: warning.level } });
+  }
+}
+
+async function ensureTokenCheck() {
+  if (!(await chrome.alarms.get(TOKEN_CHECK_ALARM))) {
+    chrome.alarms.create(TOKEN_CHECK_ALARM, { periodInMinutes: 24 * 60 });
+  }
+  const config = await getConfig();
+  if (!config?.tokenCheckedAt || Date.now() - Date.parse(config.tokenCheckedAt) > TOKEN_CHECK_STALE_MS) {
+    await checkToken();
+  }
+}
+
+// ─── Token vault ────────────────────────────────────────────
+
+/**
+ * The popup stored a session key: pick up what sat out while locked.
+ * Re-syncing plan alarms fires past-due planned commits right away.
+ */
+async function onUnlocked() {
+  const config = await getConfig();
+  if (!config || config.locked) return;
+  if (config.enabled) {
+    await ensureAlarms(config);
+    await tick();
+  }
+  const job = await getBackfillJob();
+  if (job?.status === "running") runBackfill();
+  await syncIfStale();
+  await ensureTokenCheck();
+}
+
+// ─── OAuth device flow ──────────────────────────────────────
+// Polled here rather than in the popup, which closes as soon as the user
+// opens the verification page. Progress goes to storage.oauthFlow:
+// { status: "pending" | "authorized" | "error", userCode, verificationUri,
+//   expiresAt, token?, error? } — the popup finishes setup with the token.
+
+let oauthAbort = null;
+
+async function startOAuth(apiBase = null) {
+  cancelOAuthPoll();
+  try {
+    const device = await requestDeviceCode(await getOAuthSettings(apiBase));
+    await chrome.storage.local.set({ oauthFlow: { status: "pending", apiBase, ...device } });
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
+  }
+  pollOAuth();
+  return { ok: true };
+}
+
+async function pollOAuth() {
+  const { oauthFlow } = await chrome.storage.local.get("oauthFlow");
+  if (oauthFlow?.status !== "pending" || oauthAbort) return;
+
+  const controller = new AbortController();
+  oauthAbort = controller;
+  // Extension API calls between polls keep the worker from idling out.
+  const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), 20000);
+  try {
+    const token = await pollForToken(await getOAuthSettings(oauthFlow.apiBase), oauthFlow, {
+      signal: controller.signal,
     });
-    console.log("[Ghost Commits] ⏰ Alarm created (every 5 min)");
+    await chrome.storage.local.set({
+      oauthFlow: { status: "authorized", apiBase: oauthFlow.apiBase, token },
+    });
+  } catch (err) {
+    if (!controller.signal.aborted) {
+      await chrome.storage.local.set({
+        oauthFlow: { ...oauthFlow, status: "error", error: err.message || String(err) },
+      });
+    }
+  } finally {
+    clearInterval(keepAlive);
+    if (oauthAbort === controller) oauthAbort = null;
+  }
+}
+
+function cancelOAuthPoll() {
+  oauthAbort?.abort();
+  oauthAbort = null;
+}
+
+// ─── Alarm management ───────────────────────────────────────
+
+/**
+ * Drop a pause-until whose resume day has arrived. Paused days already get
+ * no commits (see dayRule), so this only tidies config for the dashboard.
+ */
+async function expirePause() {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config?.pauseUntil) return;
+  if (dateKey(new Date(), config.timezone) < config.pauseUntil) return;
+  config.pauseUntil = null;
+  await chrome.storage.local.set({ config });
+  console.log("[Ghost Commits] ▶ Pause over — resuming");
+}
+
+async function ensureAlarms(config, { rebuild = false } = {}) {
+  await expirePause();
+  if ((config.scheduleMode || "random") === "fixed") {
+    await clearPlanAlarms();
+    await chrome.alarms.clear(ROLLOVER_ALARM);
+    const existing = await chrome.alarms.get(ALARM_NAME);
+    if (!existing) {
+      chrome.alarms.create(ALARM_NAME, {
+        delayInMinutes: 1,
+        periodInMinutes: ALARM_PERIOD_MINUTES,
+      });
+      console.log("[Ghost Commits] ⏰ Alarm created (every 5 min)");
+    }
+  } else {
+    await chrome.alarms.clear(ALARM_NAME);
+    await ensurePlan(config, { rebuild });
   }
+  await scheduleTargetCheck(config);
 }
 
-async function clearAlarm() {
+async function clearAlarms() {
   await chrome.alarms.clear(ALARM_NAME);
-  console.log("[Ghost Commits] ⏰ Alarm cleared");
+  await chrome.alarms.clear(ROLLOVER_ALARM);
+  await clearPlanAlarms();
+  await clearTargetChecks();
+  console.log("[Ghost Commits] ⏰ Alarms cleared");
 }
 
 // ─── Event listeners ────────────────────────────────────────
 
 chrome.runtime.onInstalled.addListener(async () => {
   const config = await getConfig();
-  if (config?.enabled) await ensureAlarm();
+  if (config?.enabled) await ensureAlarms(config);
+  if (config) await syncIfStale();
+  await ensureTokenCheck();
+  await refreshBadge();
 });
 
 chrome.runtime.onStartup.addListener(async () => {
   const config = await getConfig();
-  if (config?.enabled) await ensureAlarm();
+  if (config?.enabled) {
+    await ensureAlarms(config);
+    // Don't wait for the first tick to catch up slots missed while closed.
+    await tick();
+  }
+  const job = await getBackfillJob();
+  if (job?.status === "running") runBackfill();
+  if (config) await syncIfStale();
+  await ensureTokenCheck();
+  await refreshBadge();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "session") refreshBadge(); // vault locked / unlocked
+  if (area !== "local") return;
+  if (changes.errorLog || changes.errorsResolvedAt || changes.config) refreshBadge();
+});
+
+chrome.notifications.onClicked.addListener((id) => {
+  if (!id.startsWith(NOTIFY_PREFIX)) return;
+  const view = id.slice(NOTIFY_PREFIX.length).split(":")[0];
+  chrome.tabs.create({ url: chrome.runtime.getURL(`popup.html?view=${view}`) });
+  chrome.notifications.clear(id);
 });
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name.startsWith(PLAN_ALARM_PREFIX)) {
+    await enqueuePlannedCommit(alarm.name.slice(PLAN_ALARM_PREFIX.length));
+    return;
+  }
+  if (alarm.name.startsWith(TARGET_CHECK_PREFIX)) {
+    await checkDailyTarget(alarm.name.slice(TARGET_CHECK_PREFIX.length));
+    return;
+  }
+  if (alarm.name === ROLLOVER_ALARM) {
+    const config = await getConfig();
+    if (config?.enabled) await ensureAlarms(config);
+    return;
+  }
+  if (alarm.name === TOKEN_CHECK_ALARM) {
+    await checkToken();
+    return;
+  }
+  if (alarm.name === BACKFILL_ALARM) {
+    await runBackfill();
+    return;
+  }
   if (alarm.name !== ALARM_NAME) return;
   await tick();
 });
 
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   if (msg.type === "START") {
-    ensureAlarm().then(() => sendResponse({ ok: true }));
+    // Re-plan: a resume may have lifted a pause covering today.
+    getConfig()
+      .then((config) => config && ensureAlarms(config, { rebuild: true }))
+      .then(() => sendResponse({ ok: true }));
     return true;
   }
   if (msg.type === "STOP") {
-    clearAlarm().then(() => sendResponse({ ok: true }));
+    clearAlarms().then(() => sendResponse({ ok: true }));
     return true;
   }
   if (msg.type === "FORCE_COMMIT") {
     forceCommit().then((result) => sendResponse(result));
     return true;
   }
+  if (msg.type === "SYNC_HISTORY") {
+    syncFromRepo().then((result) => sendResponse(result));
+    return true;
+  }
+  if (msg.type === "RETRY_NOW") {
+    retryNow().then((result) => sendResponse(result));
+    return true;
+  }
+  if (msg.type === "TOKEN_UPDATED") {
+    // The popup validated the new token: clear the slate and give failures
+    // it may fix another go straight away.
+    ensureTokenCheck()
+      .then(resolveErrors)
+      .then(retryNow)
+      .then((result) => sendResponse(result));
+    return true;
+  }
+  if (msg.type === "OAUTH_START") {
+    startOAuth(msg.apiBase || null).then((result) => sendResponse(result));
+    return true;
+  }
+  if (msg.type === "OAUTH_RESUME") {
+    pollOAuth();
+    sendResponse({ ok: true });
+    return;
+  }
+  if (msg.type === "OAUTH_CANCEL") {
+    cancelOAuthPoll();
+    chrome.storage.local.remove("oauthFlow").then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (msg.type === "UNLOCKED") {
+    onUnlocked().then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (msg.type === "DISMISS_ERRORS") {
+    resolveErrors().then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  if (msg.type === "BACKFILL_START") {
+    startBackfill(msg).then((result) => sendResponse(result));
+    return true;
+  }
+  if (msg.type === "BACKFILL_RESUME") {
+    resumeBackfill().then((result) => sendResponse(result));
+    return true;
+  }
+  if (msg.type === "BACKFILL_CANCEL") {
+    cancelBackfill().then((result) => sendResponse(result));
+    return true;
+  }
   if (msg.type === "SCHEDULE_UPDATED") {
-    // Re-create alarm to pick up new settings immediately
-    clearAlarm()
-      .then(() => ensureAlarm())
+    // Re-plan / re-create alarms to pick up new settings immediately
+    getConfig()
+      .then((config) => config?.enabled && ensureAlarms(config, { rebuild: true }))
       .then(() => sendResponse({ ok: true }));
     return true;
   }
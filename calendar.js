@@ -0,0 +1,83 @@
+// calendar.js — Minimal iCalendar (.ics) reader for importing blackout days.
+// Only what holiday calendars use: VEVENT with DTSTART/DTEND/SUMMARY and an
+// optional yearly RRULE. Times are ignored — an event blocks whole days.
+
+import { addDays } from "./schedule.js";
+
+/**
+ * Undo RFC 5545 line folding (CRLF followed by a space or tab).
+ */
+function unfold(text) {
+  return text.replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, " ")
+    .replace(/\\([,;\\])/g, "$1")
+    .trim();
+}
+
+/**
+ * "20261224" or "20261224T090000Z" → { key: "2026-12-24", midnight: bool }
+ */
+function parseIcsDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{6}))?/.exec(value);
+  if (!m) return null;
+  return {
+    key: `${m[1]}-${m[2]}-${m[3]}`,
+    midnight: !m[4] || m[4] === "000000",
+  };
+}
+
+/**
+ * Parse an .ics file into blackout ranges:
+ * [{ start: "YYYY-MM-DD", end: "YYYY-MM-DD", label, yearly }]
+ * `end` is inclusive. Throws when the text is not a calendar.
+ */
+export function parseIcs(text) {
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error("Not an iCalendar file");
+  }
+
+  const ranges = [];
+  let event = null;
+
+  for (const line of unfold(text)) {
+    if (/^BEGIN:VEVENT$/i.test(line)) {
+      event = {};
+      continue;
+    }
+    if (/^END:VEVENT$/i.test(line)) {
+      if (event?.start) {
+        let end = event.start.key;
+        if (event.end) {
+          // DTEND is exclusive when it falls on midnight (all-day events).
+          end = event.end.midnight ? addDays(event.end.key, -1) : event.end.key;
+          if (end < event.start.key) end = event.start.key;
+        }
+        ranges.push({
+          start: event.start.key,
+          end,
+          label: event.summary || "Holiday",
+          yearly: Boolean(event.yearly),
+        });
+      }
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const sep = line.indexOf(":");
+    if (sep < 0) continue;
+    const name = line.slice(0, sep).split(";")[0].toUpperCase();
+    const value = line.slice(sep + 1);
+
+    if (name === "DTSTART") event.start = parseIcsDate(value);
+    else if (name === "DTEND") event.end = parseIcsDate(value);
+    else if (name === "SUMMARY") event.summary = unescapeText(value);
+    else if (name === "RRULE") event.yearly = /FREQ=YEARLY/i.test(value);
+  }
+
+  return ranges;
+}
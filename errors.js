@@ -0,0 +1,96 @@
+// errors.js — Sort logged failures by cause, with what to do about each.
+// Shared by the background (classify at log time) and the popup (error panel).
+
+/**
+ * Causes, in the order the error panel lists them.
+ */
+export const ERROR_KINDS = {
+  auth: {
+    label: "AUTH",
+    guidance:
+      "GitHub rejected the token (401) — it was revoked or has expired. Paste a new one for the same account under [token] replace access token — settings and history stay.",
+  },
+  permission: {
+    label: "PERMISSION",
+    guidance:
+      "The token may not write to the repo (403). Classic tokens need the repo scope; fine-grained ones need Contents: read & write on the ghost repo.",
+  },
+  missing: {
+    label: "MISSING_REPO",
+    guidance:
+      "The repo or branch was not found. It may have been deleted, renamed or emptied, or the token lost access to it — check it on GitHub.",
+  },
+  rate_limit: {
+    label: "RATE_LIMIT",
+    guidance:
+      "GitHub's API budget is spent. Commits are deferred until the reset and run on their own afterwards.",
+  },
+  network: {
+    label: "NETWORK",
+    guidance:
+      "GitHub could not be reached. Check the connection; the next scheduled attempt tries again.",
+  },
+  busy: {
+    label: "BUSY",
+    guidance:
+      "Another commit held the lock. This normally clears by itself; a lock left behind by a crash expires within 5 minutes.",
+  },
+  other: {
+    label: "OTHER",
+    guidance: "Unexpected error. Retry, and read the message below if it keeps happening.",
+  },
+};
+
+/**
+ * Map an error thrown by github-api.js (or the commit lock) to an
+ * ERROR_KINDS key.
+ */
+export function classifyError(err) {
+  const message = err?.message || String(err);
+  if (/\bBUSY:/.test(message)) return "busy";
+  if (err?.rateLimited) return "rate_limit";
+  if (err?.network) return "network";
+  if (err?.status === 401) return "auth";
+
+  const types = (err?.errors || []).map((e) => e.type);
+  if (
+    err?.status === 404 ||
+    err?.status === 409 || // "Git Repository is empty"
+    types.includes("NOT_FOUND") ||
+    /reference does not exist|could not resolve to a repository/i.test(message)
+  ) {
+    return "missing";
+  }
+  if (err?.status === 403 || types.includes("FORBIDDEN")) return "permission";
+  return "other";
+}
+
+/**
+ * Whether `err` says the branch being committed to doesn't exist (as
+ * opposed to the whole repo missing).
+ */
+export function isRefError(err) {
+  if (err?.status === 404 && /\/git\/refs?\/heads\//.test(err.message || "")) return true;
+  if (err?.status === 422 && /reference does not exist/i.test(err.data?.message || "")) return true;
+  return Boolean(err?.errors?.some((e) => e.type === "NOT_FOUND" && /branch|ref/i.test(e.message)));
+}
+
+/**
+ * Log entries newer than the last success (or dismissal) at `resolvedAt`.
+ */
+export function openErrors(errorLog, resolvedAt) {
+  const since = resolvedAt ? Date.parse(resolvedAt) : 0;
+  return (errorLog || []).filter((e) => Date.parse(e.time) > since);
+}
+
+/**
+ * Group entries by kind in ERROR_KINDS order: [{ kind, entries }], newest first.
+ */
+export function groupErrors(entries) {
+  return Object.keys(ERROR_KINDS)
+    .map((kind) => ({
+      kind,
+      entries: entries.filter((e) => (ERROR_KINDS[e.kind] ? e.kind : "other") === kind),
+    }))
+    .filter((g) => g.entries.length);
+}
@@ -1,7 +1,85 @@
-// github-api.js — Pure GitHub REST API wrapper (no cloning required)
+// github-api.js — Pure GitHub API wrapper (REST + GraphQL, no cloning required)
 
-const API = "https://api.github.com";
-const REPO_NAME = "ghost-commits-repo";
+export const DEFAULT_API_BASE = "https://api.github.com";
+export const REPO_NAME = "ghost-commits-repo";
+export const FILE_PATH = "ghost.txt";
+
+/**
+ * Error string for a file path the Git Data API would reject, or null.
+ */
+export function validateFilePath(path) {
+  if (!path) return "file path required";
+  if (path.startsWith("/") || path.endsWith("/")) return "file path must not start or end with /";
+  if (path.split("/").some((part) => !part || part === "." || part === ".." || part === ".git")) {
+    return `invalid file path "${path}"`;
+  }
+  return null;
+}
+
+// ─── Endpoints ───────────────────────────────────────────────
+
+/**
+ * What the user typed for a GitHub Enterprise Server host → its REST API
+ * base: "ghe.example.com" → "https://ghe.example.com/api/v3". Empty input
+ * and github.com give DEFAULT_API_BASE.
+ */
+export function normalizeApiBase(input) {
+  let text = (input || "").trim().replace(/\/+$/, "");
+  if (!text) return DEFAULT_API_BASE;
+  if (!/^[a-z]+:\/\//i.test(text)) text = `https://${text}`;
+  const url = new URL(text);
+  if (url.hostname === "github.com" || url.hostname === "api.github.com") return DEFAULT_API_BASE;
+  const path = url.pathname.replace(/\/+$/, "");
+  return `${url.origin}${path || "/api/v3"}`;
+}
+
+/**
+ * Error string for an API base the extension can't use, or null.
+ */
+export function validateApiBase(input) {
+  let base;
+  try {
+    base = normalizeApiBase(input);
+  } catch {
+    return `invalid URL "${input}"`;
+  }
+  if (!base.startsWith("https://")) return "the API must be served over https";
+  return null;
+}
+
+/**
+ * { api, graphql, web } for an API base. GHES serves REST at /api/v3 and
+ * GraphQL at /api/graphql, with the web UI at the host root.
+ */
+export function apiEndpoints(base = DEFAULT_API_BASE) {
+  const api = normalizeApiBase(base);
+  if (api === DEFAULT_API_BASE) {
+    return { api, graphql: `${api}/graphql`, web: "https://github.com" };
+  }
+  const root = api.replace(/\/api\/v3$/, "");
+  return root === api
+    ? { api, graphql: `${api}/graphql`, web: new URL(api).origin }
+    : { api, graphql: `${root}/api/graphql`, web: root };
+}
+
+let endpoints = apiEndpoints();
+
+/**
+ * Point every call in this module at `base` (config.apiBase; empty for
+ * github.com).
+ */
+export function setApiBase(base) {
+  endpoints = apiEndpoints(base || DEFAULT_API_BASE);
+}
+
+/**
+ * A page on the web UI of the current host, e.g. webUrl("/settings/emails").
+ */
+export function webUrl(path) {
+  return `${endpoints.web}${path}`;
+}
+
+export const TOKEN_PAGE_PATH = "/settings/tokens/new?scopes=repo&description=Ghost+Commits";
 
 /**
  * Standard headers for every GitHub API call.
@@ -15,47 +93,265 @@ function headers(token) {
   };
 }
 
+// ─── Request layer ───────────────────────────────────────────
+
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_RETRIES = 3;
+// Rate-limit waits up to this long are slept through; longer ones are thrown
+// as RATE_LIMITED so the caller can defer the work instead.
+const MAX_INLINE_WAIT_MS = 60000;
+// GitHub asks for at least a minute after a secondary rate limit without Retry-After.
+const SECONDARY_LIMIT_WAIT_MS = 60000;
+
+// Last primary rate-limit budget seen in response headers, per resource
+// (X-RateLimit-Resource): GitHub budgets REST ("core") and GraphQL
+// ("graphql") separately, so one running out mustn't block the other.
+const rateLimits = new Map(); // resource → { remaining, resetAt }
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Exponential backoff with "equal jitter": 0.5–1s, 1–2s, 2–4s, …
+function backoffMs(attempt) {
+  const base = 1000 * 2 ** attempt;
+  return base / 2 + Math.random() * (base / 2);
+}
+
+function trackRateLimit(res, resource) {
+  const remaining = res.headers.get("X-RateLimit-Remaining");
+  const reset = res.headers.get("X-RateLimit-Reset");
+  if (remaining === null && reset === null) return;
+  const key = res.headers.get("X-RateLimit-Resource") || resource;
+  const limit = rateLimits.get(key) || { remaining: null, resetAt: 0 };
+  if (remaining !== null) limit.remaining = Number(remaining);
+  if (reset !== null) limit.resetAt = Number(reset) * 1000;
+  rateLimits.set(key, limit);
+}
+
 /**
- * Small fetch wrapper that throws on non-2xx.
+ * How long GitHub wants us to wait, in ms, or null if this isn't a rate limit.
  */
-async function ghFetch(token, method, path, body = null) {
-  const opts = { method, headers: headers(token) };
-  if (body) opts.body = JSON.stringify(body);
-  const res = await fetch(`${API}${path}`, opts);
-  const data = await res.json().catch(() => null);
-  if (!res.ok) {
+function rateLimitWaitMs(res, data) {
+  if (res.status !== 403 && res.status !== 429) return null;
+  const retryAfter = res.headers.get("Retry-After");
+  if (retryAfter !== null) return Number(retryAfter) * 1000;
+  if (res.headers.get("X-RateLimit-Remaining") === "0") {
+    return Math.max(0, Number(res.headers.get("X-RateLimit-Reset")) * 1000 - Date.now());
+  }
+  if (/secondary rate limit/i.test(data?.message || "")) return SECONDARY_LIMIT_WAIT_MS;
+  return null;
+}
+
+function rateLimitError(method, label, retryAt, status = 403, data = null) {
+  const err = new Error(
+    `RATE_LIMITED: GitHub ${method} ${label} — retry after ${new Date(retryAt).toISOString()}`
+  );
+  err.status = status;
+  err.data = data;
+  err.rateLimited = true;
+  err.retryAt = retryAt;
+  return err;
+}
+
+/**
+ * Every GitHub call goes through here.
+ *
+ *  - aborts after REQUEST_TIMEOUT_MS
+ *  - retries network failures and 5xx with jittered backoff (only when
+ *    `idempotent` — a replayed mutation could commit twice)
+ *  - sleeps through short rate-limit waits, throws RATE_LIMITED for long ones
+ *  - refuses to send while `resource`'s primary budget is known to be spent
+ *
+ * Returns { res, data }. Errors carry .status / .data like before, plus
+ * .network or .rateLimited / .retryAt.
+ */
+async function request(
+  token,
+  method,
+  url,
+  body = null,
+  { label = url, idempotent = true, resource = "core" } = {}
+) {
+  const limit = rateLimits.get(resource);
+  if (limit?.remaining === 0 && limit.resetAt > Date.now()) {
+    throw rateLimitError(method, label, limit.resetAt);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    let res;
+    let data;
+    try {
+      res = await fetch(url, {
+        method,
+        headers: headers(token),
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+      data = await res.json().catch(() => null);
+    } catch (cause) {
+      if (idempotent && attempt < MAX_RETRIES) {
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+      const reason =
+        cause.name === "AbortError"
+          ? `timed out after ${REQUEST_TIMEOUT_MS / 1000}s`
+          : cause.message;
+      const err = new Error(`NETWORK: GitHub ${method} ${label}: ${reason}`);
+      err.network = true;
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    trackRateLimit(res, resource);
+    if (res.ok) return { res, data };
+
+    const waitMs = rateLimitWaitMs(res, data);
+    if (waitMs !== null) {
+      // A rate-limited request was never processed, so it is always safe to replay.
+      if (waitMs <= MAX_INLINE_WAIT_MS && attempt < MAX_RETRIES) {
+        await sleep(waitMs + Math.random() * 1000);
+        continue;
+      }
+      throw rateLimitError(method, label, Date.now() + waitMs, res.status, data);
+    }
+
+    if (res.status >= 500 && idempotent && attempt < MAX_RETRIES) {
+      await sleep(backoffMs(attempt));
+      continue;
+    }
+
     const msg = data?.message || res.statusText;
-    const err = new Error(`GitHub ${method} ${path}: ${res.status} ${msg}`);
+    const err = new Error(`GitHub ${method} ${label}: ${res.status} ${msg}`);
     err.status = res.status;
     err.data = data;
     throw err;
   }
+}
+
+/**
+ * REST call against the API root; returns the parsed body.
+ * Only GETs are replayed on 5xx / network errors.
+ */
+async function ghFetch(token, method, path, body = null) {
+  const { data } = await request(token, method, `${endpoints.api}${path}`, body, {
+    label: path,
+    idempotent: method === "GET",
+  });
   return data;
 }
 
+/**
+ * GraphQL wrapper. Throws on HTTP errors and on a non-empty `errors` array.
+ * Mutations are not replayed on 5xx / network errors.
+ */
+async function ghGraphQL(token, query, variables = {}) {
+  const { res, data } = await request(
+    token,
+    "POST",
+    endpoints.graphql,
+    { query, variables },
+    { label: "graphql", idempotent: !/^\s*mutation\b/.test(query), resource: "graphql" }
+  );
+  if (data?.errors?.length) {
+    // GraphQL reports its own budget running out as a 200 with an error.
+    if (data.errors.some((e) => e.type === "RATE_LIMITED")) {
+      const resetAt = rateLimits.get("graphql")?.resetAt || Date.now() + 60000;
+      throw rateLimitError("POST", "graphql", resetAt, res.status, data);
+    }
+    const msg = data.errors.map((e) => e.message).join("; ");
+    const err = new Error(`GitHub GraphQL: ${res.status} ${msg}`);
+    err.status = res.status;
+    err.data = data;
+    err.errors = data.errors;
+    throw err;
+  }
+  return data.data;
+}
+
+/**
+ * UTF-8 safe base64 (btoa only takes Latin-1).
+ */
+function toBase64(text) {
+  let bin = "";
+  for (const b of new TextEncoder().encode(text)) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+function fromBase64(b64) {
+  const bytes = Uint8Array.from(atob(b64.replace(/\s/g, "")), (c) => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
 // ─── Public API ──────────────────────────────────────────────
 
 /**
- * Validate the token and return its scopes.
+ * "2026-11-02 10:41:01 UTC" (github-authentication-token-expiration) → ISO,
+ * or null for tokens that never expire.
+ */
+function parseTokenExpiry(value) {
+  const m = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2})\s*(UTC|[+-]\d{2}:?\d{2})?$/.exec(
+    (value || "").trim()
+  );
+  if (!m) return null;
+  const zone = !m[3] || m[3] === "UTC" ? "Z" : m[3].replace(/(\d{2})(\d{2})$/, "$1:$2");
+  const t = Date.parse(`${m[1]}T${m[2]}${zone}`);
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
+
+// Days before expiry at which to warn.
+export const TOKEN_WARN_DAYS = [7, 3, 1];
+
+/**
+ * { daysLeft, level } once a token is within TOKEN_WARN_DAYS of `expiresAt`
+ * (level is the threshold crossed; 0 once expired), otherwise null.
+ */
+export function tokenExpiryWarning(expiresAt, now = Date.now()) {
+  if (!expiresAt) return null;
+  const ms = Date.parse(expiresAt) - now;
+  if (ms <= 0) return { daysLeft: 0, level: 0 };
+  const daysLeft = Math.ceil(ms / 86400000);
+  const level = [...TOKEN_WARN_DAYS].sort((a, b) => a - b).find((d) => daysLeft <= d);
+  return level ? { daysLeft, level } : null;
+}
+
+/**
+ * Validate the token and return its scopes and expiry.
  * Classic PATs return scopes via X-OAuth-Scopes header.
  * Fine-grained PATs do NOT return that header, so scopes will be null.
- * Returns { user, scopes: string[] | null }
+ * Returns { user, scopes: string[] | null, expiresAt: ISO string | null }
  */
 export async function validateToken(token) {
-  const res = await fetch(`${API}/user`, { headers: headers(token) });
-  const data = await res.json().catch(() => null);
-  if (!res.ok) {
-    const msg = data?.message || res.statusText;
-    const err = new Error(`GitHub GET /user: ${res.status} ${msg}`);
-    err.status = res.status;
-    err.data = data;
-    throw err;
-  }
+  const { res, data } = await request(token, "GET", `${endpoints.api}/user`, null, { label: "/user" });
   const scopeHeader = res.headers.get("X-OAuth-Scopes");
   const scopes = scopeHeader
     ? scopeHeader.split(",").map((s) => s.trim()).filter(Boolean)
     : null;
-  return { user: data, scopes };
+  const expiresAt = parseTokenExpiry(res.headers.get("github-authentication-token-expiration"));
+  return { user: data, scopes, expiresAt };
+}
+
+/**
+ * The fields config keeps about the target repo.
+ */
+function repoInfo(data) {
+  return {
+    owner: data.owner.login,
+    repo: data.name,
+    html_url: data.html_url,
+    default_branch: data.default_branch,
+  };
+}
+
+/**
+ * Repo metadata (default_branch, permissions, fork, …).
+ */
+export async function getRepo(token, owner, repo) {
+  return ghFetch(token, "GET", `/repos/${owner}/${repo}`);
 }
 
 /**
@@ -86,29 +382,36 @@ export async function getUserEmail(token) {
   if (user.email) return user.email;
 
   // 3. Last resort: GitHub noreply address.
-  //    Format: <id>+<login>@users.noreply.github.com
-  //    This is always verified and counts toward the contribution graph.
+  //    Format: <id>+<login>@users.noreply.github.com (the host's own domain
+  //    on GHES). This is always verified and counts toward the contribution
+  //    graph.
   if (user.id && user.login) {
-    return `${user.id}+${user.login}@users.noreply.github.com`;
+    return `${user.id}+${user.login}@${noreplyDomain()}`;
   }
 
   return null;
 }
 
+function noreplyDomain() {
+  return `users.noreply.${new URL(endpoints.web).host}`;
+}
+
 /**
- * Create the private ghost-commits repo (idempotent).
- * Returns { owner, repo, html_url }.
+ * Create a repo for ghost commits under the token's account — private
+ * unless `isPrivate` is false. Idempotent: an existing repo of that name is
+ * returned instead.
+ * Returns { owner, repo, html_url, default_branch }.
  */
-export async function createPrivateRepo(token) {
+export async function createRepo(token, name = REPO_NAME, { isPrivate = true } = {}) {
   try {
     const data = await ghFetch(token, "POST", "/user/repos", {
-      name: REPO_NAME,
-      private: true,
+      name,
+      private: isPrivate,
       auto_init: true, // creates initial commit so Git Data API works
       description:
         "🟩 Auto-generated by Ghost Commits — keeps your contribution graph green.",
     });
-    return { owner: data.owner.login, repo: data.name, html_url: data.html_url };
+    return repoInfo(data);
   } catch (err) {
     if (err.status === 422) {
       // Repo already exists — fetch it instead.
@@ -116,16 +419,191 @@ export async function createPrivateRepo(token) {
       const data = await ghFetch(
         token,
         "GET",
-        `/repos/${user.login}/${REPO_NAME}`
+        `/repos/${user.login}/${name}`
       );
-      return { owner: data.owner.login, repo: data.name, html_url: data.html_url };
+      return repoInfo(data);
     }
     throw err;
   }
 }
 
 /**
- * Get the SHA of the latest commit on the default branch (main).
+ * Repos the token's user can push to, most recently updated first (up to
+ * `maxPages` × 100). Each is repoInfo plus `private` and `fork`.
+ */
+export async function listRepos(token, maxPages = 3) {
+  const repos = [];
+  for (let page = 1; page <= maxPages; page++) {
+    const data = await ghFetch(
+      token,
+      "GET",
+      `/user/repos?affiliation=owner,collaborator,organization_member&sort=updated&per_page=100&page=${page}`
+    );
+    for (const r of data) {
+      if (r.permissions && !r.permissions.push) continue;
+      repos.push({ ...repoInfo(r), private: r.private, fork: r.fork });
+    }
+    if (data.length < 100) break;
+  }
+  return repos;
+}
+
+/**
+ * Check what a token can actually do before relying on it. Fine-grained PATs
+ * report no scopes, so their gaps otherwise only surface later as 403s.
+ * Finds the target repo `owner/name` or — when it is the user's own —
+ * creates it (setup would next anyway), writes a throwaway blob
+ * (unreferenced, garbage-collected by GitHub) and lists email addresses.
+ * `classic` picks scope names over permission names in the fixes.
+ *
+ * Returns { repo: { owner, repo, html_url, default_branch } | null,
+ *           checks: [{ id, label, ok: true | false | null, required, detail, fix }] }
+ * — ok is null when a check was skipped because an earlier one failed.
+ */
+export async function probeCapabilities(
+  token,
+  login,
+  { classic = false, owner = login, name = REPO_NAME, isPrivate = true } = {}
+) {
+  const checks = [];
+  const blocking = (err) => err.network || err.rateLimited || err.status === 401;
+
+  let repo = null;
+  try {
+    try {
+      repo = repoInfo(await getRepo(token, owner, name));
+    } catch (err) {
+      if (err.status !== 404 || owner !== login) throw err;
+      repo = await createRepo(token, name, { isPrivate });
+    }
+    checks.push({ id: "repo", label: "REPO_CREATE_OR_READ", ok: true, required: true });
+  } catch (err) {
+    if (blocking(err)) throw err;
+    checks.push({
+      id: "repo",
+      label: "REPO_CREATE_OR_READ",
+      ok: false,
+      required: true,
+      fix: classic
+        ? "needs the repo scope"
+        : `needs Repository access to ${name} (or All repositories) and Administration: read & write to create it`,
+    });
+  }
+
+  const contents = { id: "contents", label: "CONTENTS_WRITE", ok: null, required: true };
+  if (repo) {
+    try {
+      await ghFetch(token, "POST", `/repos/${repo.owner}/${repo.repo}/git/blobs`, {
+        content: "",
+        encoding: "utf-8",
+      });
+      contents.ok = true;
+    } catch (err) {
+      if (blocking(err)) throw err;
+      contents.ok = false;
+      contents.fix = classic
+        ? "needs the repo scope"
+        : "needs Repository permissions → Contents: read & write";
+    }
+  } else {
+    contents.detail = "not checked";
+  }
+  checks.push(contents);
+
+  // Not fatal: getUserEmail falls back to the noreply address.
+  try {
+    await ghFetch(token, "GET", "/user/emails");
+    checks.push({ id: "email", label: "EMAIL_READ", ok: true, required: false });
+  } catch (err) {
+    if (blocking(err)) throw err;
+    checks.push({
+      id: "email",
+      label: "EMAIL_READ",
+      ok: false,
+      required: false,
+      fix: `${
+        classic ? "needs the user:email scope" : "needs Account permissions → Email addresses: read"
+      } — until then commits use the noreply address`,
+    });
+  }
+
+  return { repo, checks };
+}
+
+/**
+ * Why ghost commits might not show on the contribution graph. GitHub only
+ * credits commits whose author email is verified on the account, made on
+ * the default branch of a repo that is not a fork — and for a private repo
+ * only when private contributions are shown on the profile, which the API
+ * can't see. Returns [{ id, label, ok: true | false | null, detail, fix }];
+ * ok is null when the condition could not be checked.
+ */
+export async function diagnoseContributions(token, { owner, repo, email, branch }) {
+  const checks = [];
+  const user = await getAuthenticatedUser(token);
+
+  // Author email
+  const noreply = [
+    `${user.id}+${user.login}@${noreplyDomain()}`,
+    `${user.login}@${noreplyDomain()}`,
+  ].map((e) => e.toLowerCase());
+  const emailCheck = { id: "email", label: "EMAIL_VERIFIED", detail: email };
+  if (noreply.includes((email || "").toLowerCase())) {
+    emailCheck.ok = true;
+  } else {
+    try {
+      const emails = await ghFetch(token, "GET", "/user/emails");
+      const match = emails.find((e) => e.email.toLowerCase() === (email || "").toLowerCase());
+      emailCheck.ok = Boolean(match?.verified);
+      if (!match) {
+        emailCheck.fix = `not on this account — add and verify it at ${webUrl("/settings/emails")}`;
+      } else if (!match.verified) {
+        emailCheck.fix = `listed but unverified — verify it at ${webUrl("/settings/emails")}`;
+      }
+    } catch (err) {
+      if (err.status !== 403 && err.status !== 404) throw err;
+      emailCheck.ok = null;
+      emailCheck.fix = "can't list emails — grant Email addresses: read (user:email) to check";
+    }
+  }
+  checks.push(emailCheck);
+
+  const data = await getRepo(token, owner, repo);
+
+  checks.push({
+    id: "branch",
+    label: "DEFAULT_BRANCH",
+    detail: `${branch} (default: ${data.default_branch})`,
+    ok: data.default_branch === branch,
+    fix:
+      data.default_branch === branch
+        ? undefined
+        : `commits go to ${branch} — commit to ${data.default_branch} instead, or make ${branch} the default branch on GitHub`,
+  });
+
+  checks.push({
+    id: "fork",
+    label: "NOT_A_FORK",
+    detail: data.fork ? `fork of ${data.parent?.full_name || "another repo"}` : "source repo",
+    ok: !data.fork,
+    fix: data.fork ? "commits in forks never count — use a repo that is not a fork" : undefined,
+  });
+
+  checks.push({
+    id: "private",
+    label: "PRIVATE_CONTRIBUTIONS",
+    detail: data.private ? "private repo" : "public repo",
+    ok: data.private ? null : true,
+    fix: data.private
+      ? "check by hand: profile → Contribution settings → Private contributions must be on"
+      : undefined,
+  });
+
+  return checks;
+}
+
+/**
+ * Get the SHA of the latest commit on `branch`.
  */
 export async function getLatestCommitSha(token, owner, repo, branch = "main") {
   const data = await ghFetch(
@@ -137,86 +615,367 @@ export async function getLatestCommitSha(token, owner, repo, branch = "main") {
 }
 
 /**
- * Create a single ghost commit via the Git Data API.
+ * GET /repos/{owner}/{repo}/commits — one page, newest first.
+ * `query` takes the API's filters: sha, author, since, until, per_page, page.
+ */
+export async function listCommits(token, owner, repo, query = {}) {
+  const params = new URLSearchParams();
+  for (const [k, v] of Object.entries(query)) {
+    if (v !== null && v !== undefined) params.set(k, v);
+  }
+  return ghFetch(token, "GET", `/repos/${owner}/${repo}/commits?${params}`);
+}
+
+/**
+ * Count commits matching `query` (see listCommits), up to `maxPages` pages.
+ */
+export async function countCommits(token, owner, repo, query = {}, maxPages = 3) {
+  let total = 0;
+  for (let page = 1; page <= maxPages; page++) {
+    const commits = await listCommits(token, owner, repo, { ...query, per_page: 100, page });
+    total += commits.length;
+    if (commits.length < 100) break;
+  }
+  return total;
+}
+
+/**
+ * Current text of `path` at `ref`, or null if the file doesn't exist.
+ * Throws rather than return "" when the content can't be had: an append
+ * would replace the whole file.
+ */
+export async function getFileContent(token, owner, repo, path, ref) {
+  const encoded = path.split("/").map(encodeURIComponent).join("/");
+  let data;
+  try {
+    data = await ghFetch(
+      token,
+      "GET",
+      `/repos/${owner}/${repo}/contents/${encoded}?ref=${encodeURIComponent(ref)}`
+    );
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+  if (Array.isArray(data) || data.type !== "file") {
+    throw new Error(`${path} is not a file`);
+  }
+  if (data.encoding === "base64" && typeof data.content === "string") {
+    return fromBase64(data.content);
+  }
+
+  // Over 1 MB the contents API leaves the body out (encoding "none"); the
+  // blobs API serves files up to 100 MB.
+  const blob = await ghFetch(token, "GET", `/repos/${owner}/${repo}/git/blobs/${data.sha}`);
+  if (blob.encoding !== "base64" || typeof blob.content !== "string") {
+    throw new Error(`${path}: file content unavailable (${data.size} bytes)`);
+  }
+  return fromBase64(blob.content);
+}
+
+// ─── Commit builder ──────────────────────────────────────────
+
+/**
+ * File change actions for commitFiles. A Git tree doesn't tell new files
+ * from edited ones, so "add" and "modify" both set the whole `content`;
+ * "append" adds `content` to the end of the file as it is in the base tree
+ * (creating it if missing); "delete" removes the file and is skipped when
+ * it's already gone.
+ */
+export const CHANGE_ACTIONS = ["add", "modify", "append", "delete"];
+
+/**
+ * Error string for the first bad entry in `changes`, or null.
+ */
+export function validateChanges(changes) {
+  if (!Array.isArray(changes) || !changes.length) return "no file changes";
+  const seen = new Set();
+  for (const change of changes) {
+    if (!CHANGE_ACTIONS.includes(change.action)) return `unknown action "${change.action}"`;
+    const problem = validateFilePath(change.path);
+    if (problem) return problem;
+    if (seen.has(change.path)) return `${change.path} changed twice`;
+    seen.add(change.path);
+    if (change.action !== "delete" && typeof change.content !== "string") {
+      return `${change.path}: content required`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn `changes` into what lands on top of `ref`:
+ * { writes: [{ path, content }], deletes: [path] }. Appends and deletes
+ * read the file at `ref`, so this reruns whenever the base moves.
+ */
+async function resolveChanges(token, owner, repo, ref, changes) {
+  const writes = [];
+  const deletes = [];
+  for (const change of changes) {
+    if (change.action === "add" || change.action === "modify") {
+      writes.push({ path: change.path, content: change.content });
+      continue;
+    }
+    const current = await getFileContent(token, owner, repo, change.path, ref);
+    if (change.action === "delete") {
+      if (current !== null) deletes.push(change.path);
+    } else {
+      const sep = current && !current.endsWith("\n") ? "\n" : "";
+      writes.push({ path: change.path, content: (current || "") + sep + change.content });
+    }
+  }
+  if (!writes.length && !deletes.length) {
+    throw new Error("nothing to commit: every file to delete is already gone");
+  }
+  return { writes, deletes };
+}
+
+/**
+ * Create one commit on `options.branch` applying `changes`
+ * ([{ action, path, content }], see CHANGE_ACTIONS) with `options.message`.
  *
- * Flow: create blob → create tree → create commit → update ref
+ * `options.backend` picks the transport:
+ *   "graphql" — one createCommitOnBranch mutation (see commitFilesGraphQL)
+ *   "rest"    — the Git Data API flow (see commitFilesRest)
+ *   "auto"    — GraphQL, falling back to REST when GraphQL fails — unless
+ *               the commit may have landed anyway (network error, head moved).
+ * Backdated commits (`options.date`) always use REST: the mutation can't set
+ * the date, nor the author (`options.email`, `options.authorName`).
+ * So do signed ones (`options.sign`, see commitFilesRest): the mutation
+ * takes no signature, and a key set up to sign should sign.
  *
- * Each commit appends a timestamped line to `ghost.txt` so there is a real diff.
+ * Returns { sha, date, backend }.
  */
-export async function createGhostCommit(
-  token,
-  owner,
-  repo,
-  email,
-  authorName,
-  commitDate = null
-) {
-  const branch = "main";
-  const now = commitDate ? new Date(commitDate) : new Date();
-  const isoDate = now.toISOString();
+export async function commitFiles(token, owner, repo, changes, options = {}) {
+  const invalid = validateChanges(changes);
+  if (invalid) throw new Error(`Invalid file changes: ${invalid}`);
+  if (!options.message) throw new Error("Commit message required");
 
-  // 1. Get current commit + its tree
-  const parentSha = await getLatestCommitSha(token, owner, repo, branch);
-  const parentCommit = await ghFetch(
-    token,
-    "GET",
-    `/repos/${owner}/${repo}/git/commits/${parentSha}`
-  );
-  const baseTreeSha = parentCommit.tree.sha;
+  const backend = options.backend || "auto";
+  const branch = options.branch || "main";
+  const rest = () => commitFilesRest(token, owner, repo, branch, changes, options);
 
-  // 2. Create a blob (the file content)
-  //    Include a random nonce so rapid commits always produce a unique diff.
-  const nonce = Math.random().toString(36).slice(2, 10);
-  const content = `ghost commit @ ${isoDate} [${nonce}]\n`;
-  const blob = await ghFetch(
-    token,
-    "POST",
-    `/repos/${owner}/${repo}/git/blobs`,
-    { content, encoding: "utf-8" }
-  );
+  if (backend === "rest" || options.date || options.sign) return rest();
+  if (backend === "graphql") {
+    return commitFilesGraphQL(token, owner, repo, branch, changes, options.message);
+  }
 
-  // 3. Create a tree that adds/appends to ghost.txt
-  const tree = await ghFetch(
-    token,
-    "POST",
-    `/repos/${owner}/${repo}/git/trees`,
-    {
-      base_tree: baseTreeSha,
-      tree: [
-        {
-          path: "ghost.txt",
-          mode: "100644",
-          type: "blob",
-          sha: blob.sha,
+  try {
+    return await commitFilesGraphQL(token, owner, repo, branch, changes, options.message);
+  } catch (err) {
+    // A bad token fails the same way over REST — don't double the noise. A
+    // network error or timeout may have come after GitHub made the commit.
+    if (err.status === 401 || err.network) throw err;
+    // Same for an error reply to a sent mutation (a 502 from a proxy, say):
+    // if the branch moved off the head it was sent against, that may be
+    // this very commit, so don't make it again over REST.
+    if (err.expectedHeadOid) {
+      const head = await getLatestCommitSha(token, owner, repo, branch);
+      if (head !== err.expectedHeadOid) throw err;
+    }
+    console.warn("[Ghost Commits] GraphQL commit failed, falling back to REST:", err.message);
+    return rest();
+  }
+}
+
+const CREATE_COMMIT_MUTATION = `
+  mutation ($input: CreateCommitOnBranchInput!) {
+    createCommitOnBranch(input: $input) {
+      commit { oid committedDate }
+    }
+  }
+`;
+
+/**
+ * Commit `changes` with the GraphQL createCommitOnBranch mutation.
+ *
+ * Two requests (read head, mutate) instead of six, plus one per file to
+ * append or delete, and the ref only moves if it still points at
+ * `expectedHeadOid` — a compare-and-swap rather than a forced update. When
+ * another commit lands in between, re-read the head and try again.
+ *
+ * The commit is authored as the token's user at the current time; GitHub
+ * signs it, so it also shows as Verified.
+ */
+export async function commitFilesGraphQL(token, owner, repo, branch, changes, message) {
+  const attempts = 3;
+  for (let i = 1; ; i++) {
+    const headSha = await getLatestCommitSha(token, owner, repo, branch);
+    const { writes, deletes } = await resolveChanges(token, owner, repo, headSha, changes);
+
+    try {
+      const data = await ghGraphQL(token, CREATE_COMMIT_MUTATION, {
+        input: {
+          branch: {
+            repositoryNameWithOwner: `${owner}/${repo}`,
+            branchName: branch,
+          },
+          expectedHeadOid: headSha,
+          message: { headline: message },
+          fileChanges: {
+            additions: writes.map((w) => ({ path: w.path, contents: toBase64(w.content) })),
+            deletions: deletes.map((path) => ({ path })),
+          },
         },
-      ],
+      });
+      const commit = data.createCommitOnBranch.commit;
+      return { sha: commit.oid, date: commit.committedDate, backend: "graphql" };
+    } catch (err) {
+      const headMoved = err.errors?.some((e) => /expected branch to point to/i.test(e.message));
+      if (!headMoved || i >= attempts) {
+        err.expectedHeadOid = headSha; // the mutation was sent: commitFiles checks before a REST retry
+        throw err;
+      }
     }
-  );
+  }
+}
 
-  // 4. Create the commit
-  const commit = await ghFetch(
-    token,
-    "POST",
-    `/repos/${owner}/${repo}/git/commits`,
-    {
-      message: `👻 ghost commit — ${isoDate}`,
-      tree: tree.sha,
-      parents: [parentSha],
-      author: {
-        name: authorName || "Ghost Commits",
-        email: email,
-        date: isoDate,
-      },
+/**
+ * The raw commit object text (without gpgsig) that a signature covers.
+ * Author and committer are the same person at the same time.
+ */
+function commitPayload(treeSha, parents, author, message) {
+  const seconds = Math.floor(Date.parse(author.date) / 1000);
+  const ident = `${author.name} <${author.email}> ${seconds} +0000`;
+  return [
+    `tree ${treeSha}`,
+    ...parents.map((sha) => `parent ${sha}`),
+    `author ${ident}`,
+    `committer ${ident}`,
+    "",
+    message,
+  ].join("\n");
+}
+
+/**
+ * Commit `changes` via the Git Data API.
+ *
+ * Flow: read head → create blobs → create tree → create commit → update ref
+ *
+ * The tree is built on the head's tree, so files not in `changes` are kept;
+ * deletions are entries with a null sha. The ref update is not forced, so
+ * a commit that landed in between (another device, a force commit) is
+ * never overwritten. On "not a fast forward" the commit is rebuilt on the
+ * new head and the update retried.
+ *
+ * `options`: { message, email, authorName, date, sign }. `sign(payload)`
+ * returns an armored OpenPGP signature of the commit (see pgp.js).
+ */
+export async function commitFilesRest(token, owner, repo, branch, changes, options = {}) {
+  const isoDate = (options.date ? new Date(options.date) : new Date()).toISOString();
+
+  const attempts = 3;
+  for (let i = 1; ; i++) {
+    // 1. Get current commit + its tree
+    const parentSha = await getLatestCommitSha(token, owner, repo, branch);
+    const parentCommit = await ghFetch(
+      token,
+      "GET",
+      `/repos/${owner}/${repo}/git/commits/${parentSha}`
+    );
+    const baseTreeSha = parentCommit.tree.sha;
+
+    // 2. Create a blob per written file. Appends build on the file as it is
+    //    at this parent, so the blobs are redone on every attempt.
+    const { writes, deletes } = await resolveChanges(token, owner, repo, parentSha, changes);
+    const entries = [];
+    for (const { path, content } of writes) {
+      const blob = await ghFetch(
+        token,
+        "POST",
+        `/repos/${owner}/${repo}/git/blobs`,
+        { content, encoding: "utf-8" }
+      );
+      entries.push({ path, mode: "100644", type: "blob", sha: blob.sha });
+    }
+    for (const path of deletes) {
+      entries.push({ path, mode: "100644", type: "blob", sha: null });
     }
-  );
 
-  // 5. Update the branch ref (force: true avoids 422 on rapid sequential commits)
-  await ghFetch(
-    token,
-    "PATCH",
-    `/repos/${owner}/${repo}/git/refs/heads/${branch}`,
-    { sha: commit.sha, force: true }
-  );
+    // 3. Create a tree on top of the parent's
+    const tree = await ghFetch(
+      token,
+      "POST",
+      `/repos/${owner}/${repo}/git/trees`,
+      { base_tree: baseTreeSha, tree: entries }
+    );
+
+    // 4. Create the commit. A signed one sets the committer too, so the
+    //    object GitHub stores is exactly the payload that was signed.
+    const author = {
+      name: options.authorName || "Ghost Commits",
+      email: options.email,
+      date: isoDate,
+    };
+    const commitBody = { message: options.message, tree: tree.sha, parents: [parentSha], author };
+    if (options.sign) {
+      commitBody.committer = author;
+      commitBody.signature = await options.sign(
+        commitPayload(tree.sha, [parentSha], author, options.message)
+      );
+    }
+    const commit = await ghFetch(
+      token,
+      "POST",
+      `/repos/${owner}/${repo}/git/commits`,
+      commitBody
+    );
+
+    // 5. Fast-forward the branch ref. The ref read above can be a moment
+    //    stale after rapid sequential commits, so back off and rebuild.
+    try {
+      await ghFetch(
+        token,
+        "PATCH",
+        `/repos/${owner}/${repo}/git/refs/heads/${branch}`,
+        { sha: commit.sha, force: false }
+      );
+    } catch (err) {
+      const notFastForward =
+        err.status === 422 && /fast.forward/i.test(err.data?.message || "");
+      if (!notFastForward || i >= attempts) throw err;
+      await sleep(backoffMs(i));
+      continue;
+    }
 
-  return { sha: commit.sha, date: isoDate };
+    return { sha: commit.sha, date: isoDate, backend: "rest" };
+  }
+}
+
+/**
+ * Create a single ghost commit: one file change through commitFiles.
+ *
+ * `options.backend`, `options.branch` and `options.sign` are passed through. `options.path`
+ * (default FILE_PATH), `options.content`, `options.message` and
+ * `options.append` describe what the commit writes, as rendered from the
+ * template (template.js); missing parts fall back to a timestamped line
+ * with a random nonce, so there is always a real diff.
+ *
+ * Returns { sha, date, backend }.
+ */
+export async function createGhostCommit(
+  token,
+  owner,
+  repo,
+  email,
+  authorName,
+  commitDate = null,
+  options = {}
+) {
+  const isoDate = (commitDate ? new Date(commitDate) : new Date()).toISOString();
+  const nonce = Math.random().toString(36).slice(2, 10);
+  const change = {
+    action: options.append ? "append" : "modify",
+    path: options.path || FILE_PATH,
+    content: options.content ?? `ghost commit @ ${isoDate} [${nonce}]\n`,
+  };
+  return commitFiles(token, owner, repo, [change], {
+    backend: options.backend,
+    branch: options.branch,
+    message: options.message || `👻 ghost commit — ${isoDate}`,
+    email,
+    authorName,
+    date: commitDate,
+    sign: options.sign,
+  });
 }
@@ -0,0 +1,62 @@
+// journal.js — Journal / TIL mode. Notes typed in the popup wait in
+// storage (journalQueue) until the next scheduled or forced commit, which
+// appends them to that day's Markdown file instead of the ghost content.
+
+import { dateKey, formatHHMM } from "./schedule.js";
+
+export const JOURNAL_DIR = "journal";
+export const NOTE_MAX_LENGTH = 2000;
+
+export async function getJournalQueue() {
+  const { journalQueue } = await chrome.storage.local.get("journalQueue");
+  return journalQueue || [];
+}
+
+/**
+ * Queue a note. Returns the queue, or throws on an empty or oversized note.
+ */
+export async function addNote(text) {
+  const note = text.trim();
+  if (!note) throw new Error("note is empty");
+  if (note.length > NOTE_MAX_LENGTH) throw new Error(`note is over ${NOTE_MAX_LENGTH} characters`);
+  const queue = await getJournalQueue();
+  queue.push({ id: crypto.randomUUID(), text: note, addedAt: new Date().toISOString() });
+  await chrome.storage.local.set({ journalQueue: queue });
+  return queue;
+}
+
+/**
+ * Drop notes by id — after they were committed, or deleted in the popup.
+ * Notes queued in the meantime stay.
+ */
+export async function removeNotes(ids) {
+  const queue = await getJournalQueue();
+  await chrome.storage.local.set({ journalQueue: queue.filter((n) => !ids.includes(n.id)) });
+}
+
+/**
+ * "journal/2026/10-19.md" for `date` in `tz`.
+ */
+export function journalPath(date, tz) {
+  const [year, month, day] = dateKey(date, tz).split("-");
+  return `${JOURNAL_DIR}/${year}/${month}-${day}.md`;
+}
+
+/**
+ * The file change for committing `notes` on `date`: one list item per note,
+ * stamped with the time it was written, appended to the day's file.
+ */
+export function journalFile(notes, date, tz) {
+  const lines = notes.map((n) => {
+    const [first, ...rest] = n.text.split("\n");
+    const body = [first, ...rest.map((line) => (line ? `  ${line}` : ""))].join("\n");
+    return `- **${formatHHMM(new Date(n.addedAt), tz)}** ${body}\n`;
+  });
+  const count = notes.length === 1 ? "1 note" : `${notes.length} notes`;
+  return {
+    path: journalPath(date, tz),
+    content: lines.join(""),
+    message: `📓 journal — ${dateKey(date, tz)} (${count})`,
+    append: true,
+  };
+}
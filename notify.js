@@ -0,0 +1,47 @@
+// notify.js — Desktop notification settings, shared by the background
+// (which sends them) and the popup (which edits them).
+
+import { toMinutes } from "./schedule.js";
+
+/**
+ * Event types, each with its own toggle. `view` is the popup panel a click
+ * on the notification opens.
+ */
+export const NOTIFY_TYPES = {
+  failure: { label: "COMMIT_FAILED", view: "errors", default: true },
+  token: { label: "TOKEN_PROBLEM", view: "token", default: true },
+  repo: { label: "REPO_MISSING", view: "errors", default: true },
+  missed: { label: "TARGET_MISSED", view: "history", default: true },
+  reached: { label: "TARGET_REACHED", view: "history", default: false },
+};
+
+/**
+ * config.notifications with defaults filled in:
+ * { enabled, types: { [type]: bool }, quiet: { enabled, start, end } }.
+ * Off until the user opts in.
+ */
+export function notificationSettings(config) {
+  const saved = config?.notifications || {};
+  const types = {};
+  for (const [type, { default: on }] of Object.entries(NOTIFY_TYPES)) {
+    types[type] = saved.types?.[type] ?? on;
+  }
+  return {
+    enabled: Boolean(saved.enabled),
+    types,
+    quiet: { enabled: false, start: "22:00", end: "07:00", ...saved.quiet },
+  };
+}
+
+/**
+ * Whether `minutes` after midnight falls in the quiet hours. The range may
+ * wrap past midnight (22:00–07:00).
+ */
+export function inQuietHours(settings, minutes) {
+  const { enabled, start, end } = settings.quiet;
+  if (!enabled) return false;
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+  if (from === to) return false;
+  return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
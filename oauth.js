@@ -0,0 +1,121 @@
+// oauth.js — GitHub OAuth device authorization flow ("Sign in with GitHub").
+// The user enters a short code on github.com/login/device while we poll for
+// the token. Runs on the project's OAuth app on github.com (client id below).
+// On GitHub Enterprise Server the app is registered on that host and its
+// client id set per install in storage (oauthSettings) — which is also how
+// the flow is pointed at a local mock of the two endpoints.
+
+import { apiEndpoints } from "./github-api.js";
+
+// The project's device-flow app on github.com. A client id is public by
+// design — the device flow has no secret — so it ships in the source. A
+// build without one takes the github.com client id from oauthSettings too.
+const OAUTH_CLIENT_ID = "";
+
+export const OAUTH_DEFAULTS = {
+  clientId: OAUTH_CLIENT_ID,
+  base: "https://github.com",
+  scope: "repo user:email",
+};
+
+/**
+ * The client id that ships for the flow on `base`, or "" where oauthSettings
+ * has to supply one.
+ */
+export function bundledClientId(base) {
+  return base === OAUTH_DEFAULTS.base ? OAUTH_CLIENT_ID : "";
+}
+
+/**
+ * Stored settings over the defaults. Without a saved base URL the flow
+ * runs on the web host of `apiBase` (github.com by default). On github.com
+ * the bundled client id wins over a stored one.
+ */
+export async function getOAuthSettings(apiBase = null) {
+  const { oauthSettings } = await chrome.storage.local.get("oauthSettings");
+  const base = oauthSettings?.base || (apiBase ? apiEndpoints(apiBase).web : OAUTH_DEFAULTS.base);
+  const clientId = bundledClientId(base) || oauthSettings?.clientId || "";
+  return { ...OAUTH_DEFAULTS, ...oauthSettings, base, clientId };
+}
+
+async function postForm(url, params) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams(params),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data) {
+    const err = new Error(`OAuth ${new URL(url).pathname}: ${res.status} ${data?.error || res.statusText}`);
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+/**
+ * Step 1: get a device code.
+ * Returns { deviceCode, userCode, verificationUri, expiresAt, interval }.
+ */
+export async function requestDeviceCode(settings) {
+  if (!settings.clientId) throw new Error("No OAuth client id configured");
+  const data = await postForm(`${settings.base}/login/device/code`, {
+    client_id: settings.clientId,
+    scope: settings.scope,
+  });
+  if (data.error) throw new Error(data.error_description || data.error);
+  return {
+    deviceCode: data.device_code,
+    userCode: data.user_code,
+    verificationUri: data.verification_uri,
+    expiresAt: Date.now() + data.expires_in * 1000,
+    interval: data.interval || 5,
+  };
+}
+
+/**
+ * Step 2: poll until the user approves (returns the access token), denies,
+ * or the code expires (both throw). `signal` aborts the wait.
+ */
+export async function pollForToken(settings, device, { signal } = {}) {
+  let interval = device.interval;
+  for (;;) {
+    await new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(new Error("sign-in cancelled"));
+      const timer = setTimeout(resolve, interval * 1000);
+      signal?.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(new Error("sign-in cancelled"));
+        },
+        { once: true }
+      );
+    });
+    if (Date.now() > device.expiresAt) throw new Error("code expired — start again");
+
+    const data = await postForm(`${settings.base}/login/oauth/access_token`, {
+      client_id: settings.clientId,
+      device_code: device.deviceCode,
+      grant_type: "urn:ietf:params:oauth:grant-type:device_code",
+    });
+    if (data.access_token) return data.access_token;
+
+    switch (data.error) {
+      case "authorization_pending":
+        break;
+      case "slow_down":
+        interval = data.interval || interval + 5;
+        break;
+      case "expired_token":
+        throw new Error("code expired — start again");
+      case "access_denied":
+        throw new Error("sign-in denied on GitHub");
+      default:
+        throw new Error(data.error_description || data.error || "unexpected response");
+    }
+  }
+}
@@ -0,0 +1,429 @@
+// pgp.js — OpenPGP commit signing on WebCrypto, without a library.
+// Reads an armored v4 secret key (RSA or Ed25519; unprotected, or
+// passphrase-protected with S2K + AES-CFB as gpg exports it) and makes the
+// detached v4 signatures that go into a commit's gpgsig header. GitHub shows
+// the commit as Verified when the public key is on the account and the key's
+// email matches the commit email.
+
+const ALGO_RSA = 1;
+const ALGO_EDDSA = 22; // legacy EdDSA, curve by OID
+const ALGO_ED25519 = 27; // RFC 9580
+const ED25519_OID = "2b06010401da470f01";
+const HASH_SHA256 = 8;
+const SIG_BINARY = 0x00;
+const KEY_FLAG_SIGN = 0x02;
+
+const ALGO_NAMES = { [ALGO_RSA]: "rsa", [ALGO_EDDSA]: "ed25519", [ALGO_ED25519]: "ed25519" };
+const S2K_HASHES = { 2: "SHA-1", 8: "SHA-256", 9: "SHA-384", 10: "SHA-512" };
+const S2K_CIPHERS = { 7: 16, 9: 32 }; // AES-128, AES-256 → key bytes (no AES-192 in WebCrypto)
+const S2K_GNU_DUMMY = 101; // gpg stub: secret part kept elsewhere
+
+// ─── Bytes ──────────────────────────────────────────────────
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
+
+function u16(n) {
+  return Uint8Array.of(n >> 8, n & 0xff);
+}
+
+function u32(n) {
+  return Uint8Array.of(n >>> 24, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff);
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function fromHex(hex) {
+  return Uint8Array.from(hex.match(/../g), (h) => parseInt(h, 16));
+}
+
+function toB64(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+function toB64Url(bytes) {
+  return toB64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function toBigInt(bytes) {
+  return bytes.length ? BigInt(`0x${toHex(bytes)}`) : 0n;
+}
+
+function fromBigInt(n) {
+  let hex = n.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  return fromHex(hex);
+}
+
+function leftPad(bytes, length) {
+  return bytes.length >= length ? bytes : concat(new Uint8Array(length - bytes.length), bytes);
+}
+
+async function digest(hash, data) {
+  return new Uint8Array(await crypto.subtle.digest(hash, data));
+}
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  take(n) {
+    if (this.pos + n > this.bytes.length) throw new Error("truncated key data");
+    const out = this.bytes.subarray(this.pos, this.pos + n);
+    this.pos += n;
+    return out;
+  }
+
+  u8() {
+    return this.take(1)[0];
+  }
+
+  u16() {
+    const [a, b] = this.take(2);
+    return (a << 8) | b;
+  }
+
+  u32() {
+    const [a, b, c, d] = this.take(4);
+    return ((a << 24) | (b << 16) | (c << 8) | d) >>> 0;
+  }
+
+  mpi() {
+    return this.take((this.u16() + 7) >> 3);
+  }
+
+  rest() {
+    return this.take(this.bytes.length - this.pos);
+  }
+}
+
+function mpi(bytes) {
+  let i = 0;
+  while (i < bytes.length - 1 && bytes[i] === 0) i++;
+  const body = bytes.subarray(i);
+  const bits = body[0] ? (body.length - 1) * 8 + (32 - Math.clz32(body[0])) : 0;
+  return concat(u16(bits), body);
+}
+
+// ─── Armor & packets ────────────────────────────────────────
+
+function crc24(bytes) {
+  let crc = 0xb704ce;
+  for (const b of bytes) {
+    crc ^= b << 16;
+    for (let i = 0; i < 8; i++) {
+      crc <<= 1;
+      if (crc & 0x1000000) crc ^= 0x1864cfb;
+    }
+  }
+  return crc & 0xffffff;
+}
+
+function dearmor(text, label) {
+  const m = /-----BEGIN PGP ([A-Z ]+)-----\r?\n([\s\S]*?)-----END PGP \1-----/.exec(text || "");
+  if (!m || m[1] !== label) throw new Error(`not an armored PGP ${label.toLowerCase()}`);
+  let lines = m[2].split(/\r?\n/).map((l) => l.trim());
+  // Armor headers ("Comment: …") end at the first blank line.
+  const blank = lines.indexOf("");
+  if (blank !== -1 && lines.slice(0, blank).every((l) => l.includes(": "))) {
+    lines = lines.slice(blank + 1);
+  }
+  const checksum = lines.find((l) => /^=[A-Za-z0-9+/]{4}$/.test(l));
+  const body = lines.filter((l) => l && l !== checksum).join("");
+  const bytes = Uint8Array.from(atob(body), (c) => c.charCodeAt(0));
+  if (checksum) {
+    const expected = Uint8Array.from(atob(checksum.slice(1)), (c) => c.charCodeAt(0));
+    if (toBigInt(expected) !== BigInt(crc24(bytes))) throw new Error("armor checksum mismatch");
+  }
+  return bytes;
+}
+
+function armor(label, bytes) {
+  const b64 = toB64(bytes).match(/.{1,64}/g).join("\n");
+  const crc = toB64(u32(crc24(bytes)).subarray(1));
+  return `-----BEGIN PGP ${label}-----\n\n${b64}\n=${crc}\n-----END PGP ${label}-----\n`;
+}
+
+function* packets(bytes) {
+  const r = new Reader(bytes);
+  while (r.pos < bytes.length) {
+    const header = r.u8();
+    if (!(header & 0x80)) throw new Error("not an OpenPGP packet");
+    let tag;
+    let length;
+    if (header & 0x40) {
+      tag = header & 0x3f;
+      const first = r.u8();
+      if (first < 192) length = first;
+      else if (first < 224) length = ((first - 192) << 8) + r.u8() + 192;
+      else if (first === 255) length = r.u32();
+      else throw new Error("partial-length packets are not supported");
+    } else {
+      tag = (header >> 2) & 0x0f;
+      const type = header & 3;
+      length = type === 0 ? r.u8() : type === 1 ? r.u16() : type === 2 ? r.u32() : bytes.length - r.pos;
+    }
+    yield { tag, body: r.take(length) };
+  }
+}
+
+function packet(tag, body) {
+  const n = body.length;
+  const length =
+    n < 192
+      ? Uint8Array.of(n)
+      : n < 8384
+        ? Uint8Array.of(((n - 192) >> 8) + 192, (n - 192) & 0xff)
+        : concat(Uint8Array.of(255), u32(n));
+  return concat(Uint8Array.of(0xc0 | tag), length, body);
+}
+
+function subpacket(type, data) {
+  return concat(Uint8Array.of(data.length + 1, type), data);
+}
+
+// ─── Secret keys ────────────────────────────────────────────
+
+/**
+ * Key flags from a v4 self-signature's hashed area: on a certification or
+ * direct-key signature for the primary key, on a binding signature for a
+ * subkey. null when `body` is some other signature or carries no flags.
+ */
+function selfSigKeyFlags(body, subkey) {
+  const r = new Reader(body);
+  if (r.u8() !== 4) return null;
+  const type = r.u8();
+  const binds = subkey ? type === 0x18 : (type >= 0x10 && type <= 0x13) || type === 0x1f;
+  if (!binds) return null;
+  r.take(2); // algorithms
+  const hashed = new Reader(r.take(r.u16()));
+  while (hashed.pos < hashed.bytes.length) {
+    const first = hashed.u8();
+    const length =
+      first < 192 ? first : first < 255 ? ((first - 192) << 8) + hashed.u8() + 192 : hashed.u32();
+    const data = hashed.take(length);
+    if ((data[0] & 0x7f) === 27) return data[1] ?? 0; // key flags
+  }
+  return null;
+}
+
+function parseS2K(r) {
+  const type = r.u8();
+  if (type === S2K_GNU_DUMMY) return { type };
+  if (type !== 0 && type !== 1 && type !== 3) throw new Error(`unsupported S2K type ${type}`);
+  const hash = S2K_HASHES[r.u8()];
+  if (!hash) throw new Error("unsupported S2K hash");
+  const salt = type === 0 ? new Uint8Array(0) : r.take(8);
+  const c = type === 3 ? r.u8() : 0;
+  const count = type === 3 ? (16 + (c & 15)) << ((c >> 4) + 6) : 0;
+  return { type, hash, salt, count };
+}
+
+/**
+ * A v4 secret key or subkey packet, or null for algorithms we can't sign
+ * with (encryption subkeys, other curves) and gpg stubs.
+ */
+function parseSecretKey(body) {
+  const r = new Reader(body);
+  const version = r.u8();
+  if (version !== 4) throw new Error(`v${version} keys are not supported — export a v4 key`);
+  r.u32(); // creation time
+  const algo = r.u8();
+  const pub = {};
+  if (algo === ALGO_RSA) {
+    pub.n = r.mpi();
+    pub.e = r.mpi();
+  } else if (algo === ALGO_EDDSA) {
+    if (toHex(r.take(r.u8())) !== ED25519_OID) return null;
+    pub.x = r.mpi().subarray(1); // 0x40 prefix
+  } else if (algo === ALGO_ED25519) {
+    pub.x = r.take(32);
+  } else {
+    return null;
+  }
+  const publicBody = body.subarray(0, r.pos);
+
+  const usage = r.u8();
+  let protection = null;
+  if (usage === 254 || usage === 255) {
+    const cipher = r.u8();
+    const s2k = parseS2K(r);
+    if (s2k.type === S2K_GNU_DUMMY) return null;
+    if (!S2K_CIPHERS[cipher]) throw new Error("key is protected with an unsupported cipher (need AES-128 or AES-256)");
+    protection = { usage, keyLength: S2K_CIPHERS[cipher], s2k, iv: r.take(16) };
+  } else if (usage !== 0) {
+    throw new Error("key uses a legacy protection scheme — re-export it with a current gpg");
+  }
+  return { algo, pub, publicBody, protection, secret: r.rest() };
+}
+
+async function s2kKey({ hash, salt, type, count }, passphrase, keyLength) {
+  const data = concat(salt, new TextEncoder().encode(passphrase));
+  const total = type === 3 ? Math.max(count, data.length) : data.length;
+  const out = [];
+  // Keys longer than the hash take more contexts, each preloaded with one
+  // more zero byte.
+  for (let ctx = 0; out.reduce((n, d) => n + d.length, 0) < keyLength; ctx++) {
+    const input = new Uint8Array(ctx + total);
+    for (let pos = ctx; pos < input.length; pos += data.length) {
+      input.set(data.subarray(0, Math.min(data.length, input.length - pos)), pos);
+    }
+    out.push(await digest(hash, input));
+  }
+  return concat(...out).subarray(0, keyLength);
+}
+
+// AES-CFB (OpenPGP's secret key encryption). WebCrypto has no CFB, but
+// AES-CBC over one zero block with iv = x yields E(x), which is all CFB needs.
+async function cfbDecrypt(rawKey, iv, data) {
+  const key = await crypto.subtle.importKey("raw", rawKey, "AES-CBC", false, ["encrypt"]);
+  const out = new Uint8Array(data.length);
+  let prev = iv;
+  for (let pos = 0; pos < data.length; pos += 16) {
+    const block = new Uint8Array(
+      await crypto.subtle.encrypt({ name: "AES-CBC", iv: prev }, key, new Uint8Array(16))
+    );
+    const chunk = data.subarray(pos, pos + 16);
+    for (let i = 0; i < chunk.length; i++) out[pos + i] = chunk[i] ^ block[i];
+    prev = chunk;
+  }
+  return out;
+}
+
+async function unprotect(key, passphrase) {
+  const { protection } = key;
+  if (!protection) return checkSum16(key.secret);
+  if (!passphrase) throw new Error("key is passphrase-protected — enter its passphrase");
+  const rawKey = await s2kKey(protection.s2k, passphrase, protection.keyLength);
+  const plain = await cfbDecrypt(rawKey, protection.iv, key.secret);
+  if (protection.usage === 255) return checkSum16(plain, "wrong key passphrase");
+  const material = plain.subarray(0, plain.length - 20);
+  const hash = await digest("SHA-1", material);
+  if (toHex(hash) !== toHex(plain.subarray(plain.length - 20))) throw new Error("wrong key passphrase");
+  return material;
+}
+
+function checkSum16(data, message = "key checksum mismatch") {
+  const material = data.subarray(0, data.length - 2);
+  const sum = material.reduce((n, b) => (n + b) & 0xffff, 0);
+  if (sum !== ((data[data.length - 2] << 8) | data[data.length - 1])) throw new Error(message);
+  return material;
+}
+
+function toJwk(key, material) {
+  const r = new Reader(material);
+  if (key.algo === ALGO_RSA) {
+    const d = r.mpi();
+    const p = r.mpi();
+    const q = r.mpi();
+    const u = r.mpi(); // p⁻¹ mod q
+    // JWK's qi is q⁻¹ mod p, so swap p and q and u fits as is.
+    const [bd, bp, bq] = [toBigInt(d), toBigInt(q), toBigInt(p)];
+    return {
+      kty: "RSA",
+      n: toB64Url(key.pub.n),
+      e: toB64Url(key.pub.e),
+      d: toB64Url(d),
+      p: toB64Url(fromBigInt(bp)),
+      q: toB64Url(fromBigInt(bq)),
+      dp: toB64Url(fromBigInt(bd % (bp - 1n))),
+      dq: toB64Url(fromBigInt(bd % (bq - 1n))),
+      qi: toB64Url(u),
+    };
+  }
+  const seed = key.algo === ALGO_EDDSA ? leftPad(r.mpi(), 32) : r.take(32);
+  return { kty: "OKP", crv: "Ed25519", d: toB64Url(seed), x: toB64Url(key.pub.x) };
+}
+
+function importJwk(key) {
+  return key.algo === ALGO_RSA
+    ? crypto.subtle.importKey("jwk", key.jwk, { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["sign"])
+    : crypto.subtle.importKey("jwk", key.jwk, "Ed25519", false, ["sign"]);
+}
+
+/**
+ * Read an armored secret key and unlock it with `passphrase` (if it has
+ * one). Takes the primary key when its self-signature flags it for signing
+ * and we support its algorithm, else the first such subkey — never an
+ * encryption key, whose signatures GitHub won't verify. Returns { algo,
+ * algorithm, fingerprint, keyId, userId, jwk } — `jwk` is the private key;
+ * keep it encrypted (vault.js sealSecret).
+ */
+export async function importSigningKey(armored, passphrase = "") {
+  const keys = []; // { body, flags } per key packet, primary first
+  let userId = "";
+  for (const { tag, body } of packets(dearmor(armored, "PRIVATE KEY BLOCK"))) {
+    if (tag === 13 && !userId) userId = new TextDecoder().decode(body);
+    if (tag === 5 || tag === 7) keys.push({ body, flags: 0 });
+    if (tag === 2 && keys.length) keys.at(-1).flags |= selfSigKeyFlags(body, keys.length > 1) ?? 0;
+  }
+  let key = null;
+  for (const { body, flags } of keys) {
+    if (flags & KEY_FLAG_SIGN) key = parseSecretKey(body);
+    if (key) break;
+  }
+  if (!key) throw new Error("no RSA or Ed25519 signing key with its secret part in this block");
+
+  const material = await unprotect(key, passphrase);
+  const jwk = toJwk(key, material);
+  await importJwk({ algo: key.algo, jwk }); // throws on malformed material
+
+  const fingerprint = toHex(
+    await digest("SHA-1", concat(Uint8Array.of(0x99), u16(key.publicBody.length), key.publicBody))
+  ).toUpperCase();
+  return {
+    algo: key.algo,
+    algorithm: ALGO_NAMES[key.algo],
+    fingerprint,
+    keyId: fingerprint.slice(-16),
+    userId,
+    jwk,
+  };
+}
+
+/**
+ * Armored detached signature over `payload` (the commit object text) with
+ * a key from importSigningKey.
+ */
+export async function signPayload(key, payload, date = new Date()) {
+  const fingerprint = fromHex(key.fingerprint);
+  const hashed = concat(
+    subpacket(2, u32(Math.floor(date.getTime() / 1000))), // creation time
+    subpacket(33, concat(Uint8Array.of(4), fingerprint)) // issuer fingerprint
+  );
+  const head = concat(
+    Uint8Array.of(4, SIG_BINARY, key.algo, HASH_SHA256),
+    u16(hashed.length),
+    hashed
+  );
+  const signed = concat(new TextEncoder().encode(payload), head, Uint8Array.of(4, 0xff), u32(head.length));
+  const hash = await digest("SHA-256", signed);
+
+  const cryptoKey = await importJwk(key);
+  let signature;
+  if (key.algo === ALGO_RSA) {
+    // PKCS#1 v1.5 hashes the input itself.
+    signature = mpi(new Uint8Array(await crypto.subtle.sign("RSASSA-PKCS1-v1_5", cryptoKey, signed)));
+  } else {
+    // OpenPGP EdDSA signs the digest, not the data.
+    const raw = new Uint8Array(await crypto.subtle.sign("Ed25519", cryptoKey, hash));
+    signature = key.algo === ALGO_ED25519 ? raw : concat(mpi(raw.subarray(0, 32)), mpi(raw.subarray(32)));
+  }
+
+  const unhashed = subpacket(16, fingerprint.subarray(12)); // issuer key id
+  const body = concat(head, u16(unhashed.length), unhashed, hash.subarray(0, 2), signature);
+  return armor("SIGNATURE", packet(2, body));
+}
@@ -1,11 +1,65 @@
 // popup.js — Popup UI logic (hacker edition)
 
 import {
+  DEFAULT_API_BASE,
+  FILE_PATH,
+  TOKEN_PAGE_PATH,
+  apiEndpoints,
   getAuthenticatedUser,
+  getLatestCommitSha,
+  getRepo,
+  diagnoseContributions,
   getUserEmail,
-  createPrivateRepo,
+  listRepos,
+  normalizeApiBase,
+  probeCapabilities,
+  setApiBase,
+  tokenExpiryWarning,
+  validateApiBase,
+  validateFilePath,
   validateToken,
+  webUrl,
 } from "./github-api.js";
+import {
+  WEEKDAYS,
+  addDays,
+  browserTimeZone,
+  dailyTarget,
+  dateKey,
+  dayRule,
+  daysBetween,
+  defaultWeekdayRules,
+  isValidTimeZone,
+  pauseFor,
+  resolveTimeZone,
+  resumeDay,
+  toMinutes,
+  tzAbbrev,
+  validateWeekdayRules,
+  weekdayOf,
+  zonedDate,
+} from "./schedule.js";
+import { parseIcs } from "./calendar.js";
+import { ERROR_KINDS, groupErrors, openErrors } from "./errors.js";
+import { addNote, getJournalQueue, journalPath, removeNotes } from "./journal.js";
+import { NOTIFY_TYPES, notificationSettings } from "./notify.js";
+import {
+  DEFAULT_TEMPLATE,
+  renderTemplate,
+  templateContext,
+  templateFor,
+  validateTemplate,
+} from "./template.js";
+import { OAUTH_DEFAULTS, bundledClientId, getOAuthSettings } from "./oauth.js";
+import { importSigningKey } from "./pgp.js";
+import {
+  createVault,
+  lockVault,
+  resealVault,
+  resolveToken,
+  sealSecret,
+  unlockVault,
+} from "./vault.js";
 
 // ─── DOM refs ───────────────────────────────────────────────
 const setupSection = document.getElementById("setup-section");
@@ -19,11 +73,31 @@ const saveBtn = document.getElementById("save-btn");
 const saveLabel = document.getElementById("save-label");
 const saveSpinner = document.getElementById("save-spinner");
 const setupError = document.getElementById("setup-error");
+const capabilityList = document.getElementById("capability-list");
+
+// OAuth device flow
+const oauthBtn = document.getElementById("oauth-btn");
+const oauthFlowEl = document.getElementById("oauth-flow");
+const oauthLink = document.getElementById("oauth-link");
+const oauthCode = document.getElementById("oauth-code");
+const oauthInfo = document.getElementById("oauth-info");
+const oauthCopyBtn = document.getElementById("oauth-copy-btn");
+const oauthCancelBtn = document.getElementById("oauth-cancel-btn");
+const oauthSettingsToggle = document.getElementById("oauth-settings-toggle");
+const oauthSettingsPanel = document.getElementById("oauth-settings-panel");
+const oauthClientInput = document.getElementById("oauth-client-input");
+const oauthBaseInput = document.getElementById("oauth-base-input");
+const oauthScopeInput = document.getElementById("oauth-scope-input");
+const oauthHint = document.getElementById("oauth-hint");
+const oauthClientField = document.getElementById("oauth-client-field");
+const oauthAppLink = document.getElementById("oauth-app-link");
 
 const statusBadge = document.getElementById("status-badge");
 const todayCount = document.getElementById("today-count");
 const lastCommitEl = document.getElementById("last-commit");
+const syncBtn = document.getElementById("sync-btn");
 const repoLink = document.getElementById("repo-link");
+const tokenExpiryEl = document.getElementById("token-expiry");
 const editCommits = document.getElementById("edit-commits");
 const editDecBtn = document.getElementById("edit-dec-btn");
 const editIncBtn = document.getElementById("edit-inc-btn");
@@ -33,6 +107,13 @@ const dashboardError = document.getElementById("dashboard-error");
 
 const guideToggle = document.getElementById("guide-toggle");
 const guideSteps = document.getElementById("guide-steps");
+const guideTokenLink = document.getElementById("guide-token-link");
+
+// GitHub Enterprise Server host (setup)
+const hostToggle = document.getElementById("host-toggle");
+const hostPanel = document.getElementById("host-panel");
+const apiBaseInput = document.getElementById("api-base-input");
+const hostHint = document.getElementById("host-hint");
 const scheduleHint = document.getElementById("schedule-hint");
 const scheduleInfo = document.getElementById("schedule-info");
 const nextCheck = document.getElementById("next-check");
@@ -53,6 +134,149 @@ const dashModeRandom = document.getElementById("dash-mode-random");
 const dashModeFixed = document.getElementById("dash-mode-fixed");
 const fixedTimesDash = document.getElementById("fixed-times-dash");
 const timeSlotsDash = document.getElementById("time-slots-dash");
+const missedPolicy = document.getElementById("missed-policy");
+const backendToggle = document.getElementById("backend-toggle");
+const branchInput = document.getElementById("branch-input");
+const branchHint = document.getElementById("branch-hint");
+
+// Backfill panel
+const backfillToggle = document.getElementById("backfill-toggle");
+const backfillPanel = document.getElementById("backfill-panel");
+const backfillMissed = document.getElementById("backfill-missed");
+const backfillFrom = document.getElementById("backfill-from");
+const backfillTo = document.getElementById("backfill-to");
+const backfillPerDay = document.getElementById("backfill-per-day");
+const backfillDecBtn = document.getElementById("backfill-dec-btn");
+const backfillIncBtn = document.getElementById("backfill-inc-btn");
+const backfillStartBtn = document.getElementById("backfill-start-btn");
+const backfillCancelBtn = document.getElementById("backfill-cancel-btn");
+const backfillStatus = document.getElementById("backfill-status");
+
+// Error panel
+const errorsToggle = document.getElementById("errors-toggle");
+const errorsToggleLabel = document.getElementById("errors-toggle-label");
+const errorsPanel = document.getElementById("errors-panel");
+const errorGroups = document.getElementById("error-groups");
+const dismissErrorsBtn = document.getElementById("dismiss-errors-btn");
+const retryStatus = document.getElementById("retry-status");
+
+// Token panel
+const tokenToggle = document.getElementById("token-toggle");
+const tokenNewLink = document.getElementById("token-new-link");
+const tokenPanel = document.getElementById("token-panel");
+const newTokenInput = document.getElementById("new-token-input");
+const replaceTokenBtn = document.getElementById("replace-token-btn");
+const tokenStatus = document.getElementById("token-status");
+
+// Target panel
+const targetToggle = document.getElementById("target-toggle");
+const targetPanel = document.getElementById("target-panel");
+const targetCurrent = document.getElementById("dash-target-current");
+const targetChecks = document.getElementById("dash-target-checks");
+const targetSwitchBtn = document.getElementById("target-switch-btn");
+const targetStatus = document.getElementById("target-status");
+
+// Template panel
+const templateToggle = document.getElementById("template-toggle");
+const templatePanel = document.getElementById("template-panel");
+const templatePathInput = document.getElementById("template-path-input");
+const templateModeToggle = document.getElementById("template-mode-toggle");
+const templateMessageInput = document.getElementById("template-message-input");
+const templateContentInput = document.getElementById("template-content-input");
+const templateWordsInput = document.getElementById("template-words-input");
+const templatePreview = document.getElementById("template-preview");
+const templateSaveBtn = document.getElementById("template-save-btn");
+const templateResetBtn = document.getElementById("template-reset-btn");
+const templateStatus = document.getElementById("template-status");
+
+// Journal panel
+const journalToggle = document.getElementById("journal-toggle");
+const journalPanel = document.getElementById("journal-panel");
+const journalEnabledInput = document.getElementById("journal-enabled-input");
+const journalNoteInput = document.getElementById("journal-note-input");
+const journalAddBtn = document.getElementById("journal-add-btn");
+const journalQueueEl = document.getElementById("journal-queue");
+const journalInfo = document.getElementById("journal-info");
+const journalStatus = document.getElementById("journal-status");
+
+// Diagnostics panel
+const diagToggle = document.getElementById("diag-toggle");
+const diagPanel = document.getElementById("diag-panel");
+const diagRunBtn = document.getElementById("diag-run-btn");
+const diagList = document.getElementById("diag-list");
+const diagStatus = document.getElementById("diag-status");
+
+// Vault panel
+const vaultToggle = document.getElementById("vault-toggle");
+const vaultPanel = document.getElementById("vault-panel");
+const vaultInfo = document.getElementById("vault-info");
+const vaultPassInput = document.getElementById("vault-pass-input");
+const vaultConfirmInput = document.getElementById("vault-confirm-input");
+const vaultPrimaryBtn = document.getElementById("vault-primary-btn");
+const vaultSecondaryBtn = document.getElementById("vault-secondary-btn");
+const vaultStatus = document.getElementById("vault-status");
+
+// Signing panel
+const signingToggle = document.getElementById("signing-toggle");
+const signingPanel = document.getElementById("signing-panel");
+const signingInfo = document.getElementById("signing-info");
+const signingWarning = document.getElementById("signing-warning");
+const signingKeyInput = document.getElementById("signing-key-input");
+const signingPassInput = document.getElementById("signing-pass-input");
+const signingImportBtn = document.getElementById("signing-import-btn");
+const signingRemoveBtn = document.getElementById("signing-remove-btn");
+const signingStatus = document.getElementById("signing-status");
+const signingGpgLink = document.getElementById("signing-gpg-link");
+
+// Notifications panel
+const notifyToggle = document.getElementById("notify-toggle");
+const notifyPanel = document.getElementById("notify-panel");
+const notifyEnabledInput = document.getElementById("notify-enabled-input");
+const notifyTypes = document.getElementById("notify-types");
+const quietEnabledInput = document.getElementById("quiet-enabled-input");
+const quietStart = document.getElementById("quiet-start");
+const quietEnd = document.getElementById("quiet-end");
+
+// History panel
+const historyToggle = document.getElementById("history-toggle");
+const historyPanel = document.getElementById("history-panel");
+const heatmap = document.getElementById("heatmap");
+const statStreak = document.getElementById("stat-streak");
+const statTotal = document.getElementById("stat-total");
+const statSuccess = document.getElementById("stat-success");
+const historyList = document.getElementById("history-list");
+
+// Schedule rules panel
+const rulesToggle = document.getElementById("rules-toggle");
+const rulesPanel = document.getElementById("rules-panel");
+const timezoneInput = document.getElementById("timezone-input");
+const timezoneList = document.getElementById("timezone-list");
+const weekdayRows = document.getElementById("weekday-rows");
+const rulesSaveBtn = document.getElementById("rules-save-btn");
+const rulesStatus = document.getElementById("rules-status");
+
+// Vacation / blackout panel
+const pauseToggle = document.getElementById("pause-toggle");
+const pausePanel = document.getElementById("pause-panel");
+const pauseUntilInput = document.getElementById("pause-until");
+const pauseSetBtn = document.getElementById("pause-set-btn");
+const pauseClearBtn = document.getElementById("pause-clear-btn");
+const blackoutList = document.getElementById("blackout-list");
+const blackoutFrom = document.getElementById("blackout-from");
+const blackoutTo = document.getElementById("blackout-to");
+const blackoutLabel = document.getElementById("blackout-label");
+const blackoutYearly = document.getElementById("blackout-yearly");
+const blackoutAddBtn = document.getElementById("blackout-add-btn");
+const icsImportBtn = document.getElementById("ics-import-btn");
+const icsInput = document.getElementById("ics-input");
+const pauseStatus = document.getElementById("pause-status");
+
+// Multi-device panel
+const devicesToggle = document.getElementById("devices-toggle");
+const devicesPanel = document.getElementById("devices-panel");
+const repoCheckInput = document.getElementById("repo-check-input");
+const syncBudgetInput = document.getElementById("sync-budget-input");
+const devicesInfo = document.getElementById("devices-info");
 
 // ─── Stepper wiring ────────────────────────────────────────
 function clamp(v, min, max) {
@@ -75,6 +299,7 @@ function wireSteppers(input, dec, inc) {
 
 wireSteppers(commitsInput, decBtn, incBtn);
 wireSteppers(editCommits, editDecBtn, editIncBtn);
+wireSteppers(backfillPerDay, backfillDecBtn, backfillIncBtn);
 
 // ─── Guide toggle ───────────────────────────────────────────
 guideToggle.addEventListener("click", () => {
@@ -84,18 +309,16 @@ guideToggle.addEventListener("click", () => {
 
 // ─── Schedule hint (setup view) ─────────────────────────────
 
-// Get short local timezone name (e.g. "EST", "PST", "GMT+5")
-const localTZ = Intl.DateTimeFormat(undefined, { timeZoneName: "short" })
-  .formatToParts(new Date())
-  .find((p) => p.type === "timeZoneName")?.value || "local";
+// Zone the dashboard renders in — config.timezone once connected.
+let timeZone = browserTimeZone();
 
 function updateScheduleHint(n) {
   const mode = modeFixed.classList.contains("active") ? "fixed" : "random";
   if (scheduleHint) {
     if (mode === "random") {
-      scheduleHint.textContent = `> ${n} commit${n > 1 ? "s" : ""} // random // 06:00–22:00 ${localTZ}`;
+      scheduleHint.textContent = `> ${n} commit${n > 1 ? "s" : ""} // random // 06:00–22:00 ${tzAbbrev(timeZone)}`;
     } else {
-      scheduleHint.textContent = `> ${n} commit${n > 1 ? "s" : ""} // fixed times (${localTZ})`;
+      scheduleHint.textContent = `> ${n} commit${n > 1 ? "s" : ""} // fixed times (${tzAbbrev(timeZone)})`;
     }
   }
 }
@@ -155,10 +378,23 @@ function defaultTimes(n) {
   return times;
 }
 
+// Per-slot outcome recorded by the background in dailyState.slotOutcomes
+const SLOT_OUTCOMES = {
+  on_time: { text: "✓ DONE", cls: "" },
+  caught_up: { text: "↻ CAUGHT_UP", cls: "caught-up" },
+  missed: { text: "✗ MISSED", cls: "missed" },
+  failed: { text: "✗ FAILED", cls: "missed" },
+  covered: { text: "⇄ OTHER_DEVICE", cls: "caught-up" },
+};
+
 function renderTimeSlots(container, n, context) {
   container.innerHTML = "";
   // Try to load existing times from storage or use defaults
-  chrome.storage.local.get("config", ({ config }) => {
+  chrome.storage.local.get(["config", "dailyState"], ({ config, dailyState }) => {
+    const today = dateKey(new Date(), config?.timezone);
+    const outcomes =
+      dailyState && dailyState.date === today ? dailyState.slotOutcomes || {} : {};
+
     let times = config?.fixedTimes || [];
     // Pad or trim to match n
     while (times.length < n) {
@@ -187,6 +423,15 @@ function renderTimeSlots(container, n, context) {
 
       slot.appendChild(label);
       slot.appendChild(input);
+
+      const outcome = context === "dash" && SLOT_OUTCOMES[outcomes[t]];
+      if (outcome) {
+        const status = document.createElement("span");
+        status.className = `time-slot-status ${outcome.cls}`.trim();
+        status.textContent = outcome.text;
+        slot.appendChild(status);
+      }
+
       container.appendChild(slot);
     });
   });
@@ -197,6 +442,86 @@ function collectTimes(container) {
   return Array.from(inputs).map((inp) => inp.value).sort();
 }
 
+missedPolicy.querySelectorAll(".mode-btn").forEach((btn) => {
+  btn.addEventListener("click", async () => {
+    const { config } = await chrome.storage.local.get("config");
+    if (!config) return;
+    config.missedSlotPolicy = btn.dataset.policy;
+    await chrome.storage.local.set({ config });
+    renderMissedPolicy(config.missedSlotPolicy);
+  });
+});
+
+backendToggle.querySelectorAll(".mode-btn").forEach((btn) => {
+  btn.addEventListener("click", async () => {
+    const { config } = await chrome.storage.local.get("config");
+    if (!config) return;
+    config.commitBackend = btn.dataset.backend;
+    await chrome.storage.local.set({ config });
+    renderBackend(config.commitBackend);
+  });
+});
+
+function renderBackend(backend) {
+  backendToggle.querySelectorAll(".mode-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.backend === (backend || "auto"));
+  });
+}
+
+function renderBranch(config, error = null) {
+  const branch = config.branch || "main";
+  branchInput.value = branch;
+  branchHint.classList.toggle("error-status", Boolean(error));
+  if (error) {
+    branchHint.textContent = `> ${error}`;
+  } else if (config.defaultBranch && branch !== config.defaultBranch) {
+    branchHint.textContent = `> not the default branch (${config.defaultBranch}) — commits won't count`;
+  } else {
+    branchHint.classList.add("hidden");
+    return;
+  }
+  branchHint.classList.remove("hidden");
+}
+
+// Only switch to a branch that exists; refresh the default while at it.
+branchInput.addEventListener("change", async () => {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config) return;
+  const branch = branchInput.value.trim();
+  if (!branch) {
+    renderBranch(config);
+    return;
+  }
+  const token = await resolveToken(config);
+  if (!token) {
+    renderBranch(config, "LOCKED: unlock the token first");
+    return;
+  }
+
+  branchInput.disabled = true;
+  try {
+    const repo = await getRepo(token, config.owner, config.repo);
+    await getLatestCommitSha(token, config.owner, config.repo, branch);
+    config.branch = branch;
+    config.defaultBranch = repo.default_branch;
+    await chrome.storage.local.set({ config });
+    renderBranch(config);
+  } catch (err) {
+    renderBranch(
+      config,
+      err.status === 404 ? `ERROR: no branch "${branch}" in ${config.repo}` : `ERROR: ${err.message}`
+    );
+  } finally {
+    branchInput.disabled = false;
+  }
+});
+
+function renderMissedPolicy(policy) {
+  missedPolicy.querySelectorAll(".mode-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.policy === (policy || "skip"));
+  });
+}
+
 async function saveTimes(container) {
   const { config } = await chrome.storage.local.get("config");
   if (!config) return;
@@ -221,6 +546,15 @@ function showSection(section) {
   section.classList.remove("hidden");
 }
 
+// "YYYY-MM-DD" → "Oct 19"
+function formatDay(key) {
+  return new Date(`${key}T12:00:00Z`).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
 function formatDate(iso) {
   if (!iso) return "—";
   const d = new Date(iso);
@@ -235,19 +569,38 @@ function formatDate(iso) {
 // ─── Init ───────────────────────────────────────────────────
 async function init() {
   const { config } = await chrome.storage.local.get("config");
-  if (config && config.token) {
+  if (config && (config.token || config.tokenVault)) {
     await showDashboard(config);
+    // Opened from a notification: popup.html?view=errors
+    const view = new URLSearchParams(location.search).get("view");
+    if (view) openView(view);
   } else {
     showSection(setupSection);
+    await initOAuth();
   }
 }
 
 // ─── Dashboard View ─────────────────────────────────────────
 async function showDashboard(config) {
   showSection(dashboardSection);
+  setApiBase(config.apiBase);
+  renderHostLinks();
+  timeZone = resolveTimeZone(config.timezone);
+  const today = dateKey(new Date(), timeZone);
+  const paused = config.enabled && pauseFor(config, today);
+  const locked = Boolean(config.tokenVault) && !(await resolveToken(config));
 
   // Status badge
-  if (config.enabled) {
+  if (locked) {
+    statusBadge.textContent = "LOCKED";
+    statusBadge.className = "badge badge-paused";
+    toggleBtn.textContent = config.enabled ? "PAUSE" : "RESUME";
+  } else if (paused) {
+    statusBadge.textContent = `PAUSED UNTIL ${formatDay(resumeDay(config, today))}`;
+    statusBadge.className = "badge badge-paused";
+    // RESUME ends a pause-until early; blackouts are edited in their panel.
+    toggleBtn.textContent = config.pauseUntil > today ? "RESUME" : "PAUSE";
+  } else if (config.enabled) {
     statusBadge.textContent = "ONLINE";
     statusBadge.className = "badge badge-active";
     toggleBtn.textContent = "PAUSE";
@@ -260,6 +613,18 @@ async function showDashboard(config) {
   // Commits per day
   editCommits.value = config.commitsPerDay || 3;
 
+  // Token expiry & encryption
+  renderTokenExpiry(config);
+  renderVault(config, locked);
+  renderSigning(config, locked);
+
+  // Commit backend, branch & target
+  renderBackend(config.commitBackend);
+  renderBranch(config);
+  renderTarget(config);
+  await renderTemplatePanel(config);
+  await renderJournal(config);
+
   // Repo link
   if (config.html_url) {
     repoLink.href = config.html_url;
@@ -268,9 +633,11 @@ async function showDashboard(config) {
 
   // Today's count
   const { dailyState } = await chrome.storage.local.get("dailyState");
-  const today = new Date().toISOString().slice(0, 10);
   const count = dailyState && dailyState.date === today ? dailyState.count : 0;
-  todayCount.textContent = `${count} / ${config.commitsPerDay} deployed`;
+  const target = dailyTarget(config, today);
+  todayCount.textContent = target
+    ? `${count} / ${target} deployed`
+    : `${count} deployed // day off`;
 
   // Last commit
   const { lastCommit } = await chrome.storage.local.get("lastCommit");
@@ -278,13 +645,46 @@ async function showDashboard(config) {
     ? `${lastCommit.sha.slice(0, 7)} · ${formatDate(lastCommit.date)}`
     : "—";
 
+  // History (rebuilt from the repo)
+  const { commitHistory, lastSync } = await chrome.storage.local.get([
+    "commitHistory",
+    "lastSync",
+  ]);
+  syncBtn.disabled = false;
+  syncBtn.textContent = lastSync
+    ? `${(commitHistory || []).filter((e) => e.result !== "failure").length} commits · ↻ ${formatDate(lastSync.at)}`
+    : "↻ SYNC_FROM_REPO";
+  renderHistory(config, commitHistory || []);
+
+  const { errorLog, errorsResolvedAt } = await chrome.storage.local.get([
+    "errorLog",
+    "errorsResolvedAt",
+  ]);
+  renderErrors(errorLog, errorsResolvedAt);
+
   // Schedule info
   const n = config.commitsPerDay || 3;
   const mode = config.scheduleMode || "random";
   if (mode === "fixed" && config.fixedTimes?.length) {
-    scheduleInfo.textContent = config.fixedTimes.join(", ") + ` ${localTZ}`;
+    const outcomes =
+      dailyState && dailyState.date === today ? dailyState.slotOutcomes || {} : {};
+    const missed = config.fixedTimes.filter((t) => outcomes[t] === "missed").length;
+    const failed = config.fixedTimes.filter((t) => outcomes[t] === "failed").length;
+    const caughtUp = config.fixedTimes.filter((t) => outcomes[t] === "caught_up").length;
+    let info = config.fixedTimes.join(", ") + ` ${tzAbbrev(timeZone)}`;
+    if (missed) info += ` · ${missed} missed`;
+    if (failed) info += ` · ${failed} failed`;
+    if (caughtUp) info += ` · ${caughtUp} caught up`;
+    scheduleInfo.textContent = info;
   } else {
-    scheduleInfo.textContent = `${n}x/day // 06–22 ${localTZ}`;
+    const rule = dayRule(config, today);
+    if (rule.paused) {
+      scheduleInfo.textContent = rule.paused.label ? `BLACKOUT // ${rule.paused.label}` : "PAUSED";
+    } else {
+      scheduleInfo.textContent = rule.enabled
+        ? `${rule.commits}x today // ${rule.start}–${rule.end} ${tzAbbrev(timeZone)}`
+        : `DAY_OFF // ${tzAbbrev(timeZone)}`;
+    }
   }
 
   // Mode buttons
@@ -293,33 +693,87 @@ async function showDashboard(config) {
     dashModeRandom.classList.remove("active");
     fixedTimesDash.classList.remove("hidden");
     renderTimeSlots(timeSlotsDash, n, "dash");
+    renderMissedPolicy(config.missedSlotPolicy);
   } else {
     dashModeRandom.classList.add("active");
     dashModeFixed.classList.remove("active");
     fixedTimesDash.classList.add("hidden");
   }
 
-  // Next check
-  try {
-    const alarm = await chrome.alarms.get("ghost-tick");
-    if (alarm && config.enabled) {
-      const eta = new Date(alarm.scheduledTime);
-      const minsLeft = Math.max(0, Math.round((eta - Date.now()) / 60000));
+  // Backfill defaults
+  initBackfill(lastCommit);
+
+  // Schedule rules editor
+  renderRules(config);
+
+  // Vacation / blackouts
+  renderPause(config);
+
+  // Multi-device coordination
+  renderDevices(config, today);
+
+  // Notifications
+  renderNotifications(config);
+
+  // Next commit — the real planned time, not the next background wake-up
+  if (!config.enabled) {
+    nextCheck.textContent = "OFFLINE";
+  } else if (paused) {
+    nextCheck.textContent = `RESUMES ${formatDay(resumeDay(config, today))}`;
+  } else {
+    const next = await nextCommitTime(config, dailyState);
+    if (next === undefined) {
+      nextCheck.textContent = "BOOTING…";
+    } else if (next === null) {
+      nextCheck.textContent = "DONE_FOR_TODAY";
+    } else {
+      const minsLeft = Math.max(0, Math.round((next - Date.now()) / 60000));
+      const hhmm = next.toLocaleTimeString(undefined, {
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+        timeZone,
+      });
       if (minsLeft < 1) {
         nextCheck.textContent = "IMMINENT";
-      } else if (minsLeft === 1) {
-        nextCheck.textContent = "T-1 min";
+      } else if (minsLeft < 60) {
+        nextCheck.textContent = `${hhmm} · T-${minsLeft} min`;
       } else {
-        nextCheck.textContent = `T-${minsLeft} min`;
+        nextCheck.textContent = `${hhmm} · T-${Math.floor(minsLeft / 60)}h${String(minsLeft % 60).padStart(2, "0")}`;
       }
-    } else {
-      nextCheck.textContent = config.enabled ? "BOOTING…" : "OFFLINE";
     }
-  } catch {
-    nextCheck.textContent = config.enabled ? "~30 min cycle" : "OFFLINE";
   }
 }
 
+/**
+ * Next scheduled commit as a Date, null when nothing is left today, or
+ * undefined while the background hasn't planned the day yet.
+ */
+async function nextCommitTime(config, dailyState) {
+  const today = dateKey(new Date(), timeZone);
+  if ((config.scheduleMode || "random") === "fixed") {
+    const rule = dayRule(config, today);
+    if (!rule.enabled) return null;
+    const fired = dailyState && dailyState.date === today ? dailyState.firedSlots || [] : [];
+    const upcoming = [...(config.fixedTimes || [])]
+      .sort()
+      .slice(0, rule.commits)
+      .filter((t) => !fired.includes(t))
+      .map((t) => zonedDate(today, toMinutes(t), timeZone))
+      .filter((d) => d > Date.now())
+      .sort((a, b) => a - b);
+    return upcoming[0] || null;
+  }
+
+  const { dailyPlan } = await chrome.storage.local.get("dailyPlan");
+  if (!dailyPlan || dailyPlan.date !== today) return undefined;
+  const pending = dailyPlan.entries
+    .filter((e) => e.status === "pending")
+    .map((e) => new Date(e.at))
+    .sort((a, b) => a - b);
+  return pending[0] || null;
+}
+
 // ─── Force Commit ───────────────────────────────────────────
 let forceCooldownTimer = null;
 
@@ -391,99 +845,1647 @@ forceCommitBtn.addEventListener("click", async () => {
   }
 });
 
-// ─── Save / Connect ─────────────────────────────────────────
-saveBtn.addEventListener("click", async () => {
-  hideError(setupError);
-  const token = tokenInput.value.trim();
-  const commitsPerDay = clamp(Number(commitsInput.value), 1, 20);
+// ─── Backfill ───────────────────────────────────────────────
+backfillToggle.addEventListener("click", () => {
+  backfillPanel.classList.toggle("hidden");
+  backfillToggle.classList.toggle("open");
+});
 
-  if (!token) {
-    showError(setupError, "> ERROR: token required");
+/**
+ * Prefill the range with the days between the last recorded push and
+ * yesterday — the days where nothing went out.
+ */
+async function initBackfill(lastCommit) {
+  const maxKey = addDays(dateKey(new Date(), timeZone), -1);
+  backfillFrom.max = maxKey;
+  backfillTo.max = maxKey;
+
+  if (lastCommit) {
+    const lastKey = dateKey(new Date(lastCommit.date), timeZone);
+    const fromKey = addDays(lastKey, 1);
+    if (fromKey <= maxKey) {
+      const days = daysBetween(fromKey, maxKey) + 1;
+      backfillMissed.textContent = `> ${days} missed day${days > 1 ? "s" : ""} since ${formatDay(lastKey)}`;
+      backfillFrom.value = fromKey;
+    } else {
+      backfillMissed.textContent = "> no missed days since last push";
+      backfillFrom.value = maxKey;
+    }
+  } else {
+    backfillMissed.textContent = "> no commits recorded yet";
+    backfillFrom.value = maxKey;
+  }
+  backfillTo.value = maxKey;
+
+  const { backfillJob } = await chrome.storage.local.get("backfillJob");
+  renderBackfill(backfillJob);
+}
+
+function renderBackfill(job) {
+  const status = job?.status;
+  backfillStatus.classList.remove("error-status");
+
+  backfillStartBtn.disabled = status === "running";
+  backfillStartBtn.textContent =
+    status === "running" ? "RUNNING…" : status === "paused" ? "RESUME" : "START";
+  backfillCancelBtn.classList.toggle("hidden", status !== "running" && status !== "paused");
+
+  if (!job || status === "cancelled") {
+    backfillStatus.classList.add("hidden");
     return;
   }
 
-  saveBtn.disabled = true;
-  saveLabel.textContent = "> CONNECTING…";
-  saveSpinner.classList.remove("hidden");
+  const total = job.entries.length;
+  const current = job.entries[Math.min(job.next, total - 1)];
+  backfillStatus.classList.remove("hidden");
+  if (status === "running" && job.deferredUntil && Date.parse(job.deferredUntil) > Date.now()) {
+    const until = new Date(job.deferredUntil).toLocaleTimeString(undefined, {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    backfillStatus.textContent = `> ${job.next}/${total} written · rate limited, resumes ${until}`;
+  } else if (status === "running") {
+    backfillStatus.textContent = `> ${job.next}/${total} written · ${formatDay(dateKey(new Date(current), timeZone))}`;
+  } else if (status === "paused") {
+    backfillStatus.textContent = `> PAUSED at ${job.next}/${total}: ${job.error || "interrupted"}`;
+    backfillStatus.classList.add("error-status");
+  } else {
+    backfillStatus.textContent = `> backfilled ${total} commit${total > 1 ? "s" : ""} (${formatDay(job.from)} → ${formatDay(job.to)})`;
+  }
+}
 
-  try {
-    // 1. Validate token & check scopes
-    const { user, scopes } = await validateToken(token);
+backfillStartBtn.addEventListener("click", async () => {
+  const { backfillJob } = await chrome.storage.local.get("backfillJob");
+  const response =
+    backfillJob?.status === "paused"
+      ? await chrome.runtime.sendMessage({ type: "BACKFILL_RESUME" })
+      : await chrome.runtime.sendMessage({
+          type: "BACKFILL_START",
+          from: backfillFrom.value,
+          to: backfillTo.value,
+          perDay: clamp(Number(backfillPerDay.value), 1, 20),
+        });
+
+  if (!response?.ok) {
+    backfillStatus.textContent = `> ERROR: ${response?.error || "unknown error"}`;
+    backfillStatus.classList.remove("hidden");
+    backfillStatus.classList.add("error-status");
+  }
+});
 
-    if (scopes !== null && !scopes.includes("repo")) {
-      showError(
-        setupError,
-        `> ERROR: missing <strong>repo</strong> scope. ` +
-          `<a href="https://github.com/settings/tokens/new?scopes=repo&description=Ghost+Commits" ` +
-          `target="_blank">create new token →</a>`
-      );
-      return;
-    }
+backfillCancelBtn.addEventListener("click", async () => {
+  await chrome.runtime.sendMessage({ type: "BACKFILL_CANCEL" });
+});
 
-    const email = await getUserEmail(token);
+// Live progress while the background works through the queue.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local") return;
+  if (changes.backfillJob) renderBackfill(changes.backfillJob.newValue);
+  if (changes.lastCommit?.newValue) {
+    const { sha, date } = changes.lastCommit.newValue;
+    lastCommitEl.textContent = `${sha.slice(0, 7)} · ${formatDate(date)}`;
+  }
+  if (changes.oauthFlow && !setupSection.classList.contains("hidden")) {
+    renderOAuthFlow(changes.oauthFlow.newValue);
+  }
+  if (changes.errorLog || changes.errorsResolvedAt) {
+    chrome.storage.local
+      .get(["errorLog", "errorsResolvedAt"])
+      .then(({ errorLog, errorsResolvedAt }) => renderErrors(errorLog, errorsResolvedAt));
+  }
+});
 
-    if (!email) {
-      showError(
-        setupError,
-        "> ERROR: no verified email found. Ghost commits need a verified email for your contribution graph."
-      );
-      return;
-    }
+// ─── Schedule rules (timezone + weekdays) ───────────────────
+rulesToggle.addEventListener("click", () => {
+  rulesPanel.classList.toggle("hidden");
+  rulesToggle.classList.toggle("open");
+});
 
-    // 2. Create (or find) the private repo
-    const repo = await createPrivateRepo(token);
+try {
+  for (const tz of Intl.supportedValuesOf("timeZone")) {
+    const opt = document.createElement("option");
+    opt.value = tz;
+    timezoneList.appendChild(opt);
+  }
+} catch {
+  // Older Chromium without supportedValuesOf — free-text entry still works.
+}
 
-    // 3. Determine schedule mode & times
-    const scheduleMode = modeFixed.classList.contains("active") ? "fixed" : "random";
-    const fixedTimes = scheduleMode === "fixed" ? collectTimes(timeSlotsSetup) : [];
+function renderRules(config) {
+  timezoneInput.value = config.timezone || "";
+  timezoneInput.placeholder = browserTimeZone();
+  weekdayRows.innerHTML = "";
+
+  const rules = config.weekdayRules || defaultWeekdayRules();
+  rules.forEach((rule, i) => {
+    const row = document.createElement("div");
+    row.className = "weekday-row";
+
+    const enabled = document.createElement("input");
+    enabled.type = "checkbox";
+    enabled.checked = rule.enabled !== false;
+    enabled.dataset.field = "enabled";
+
+    const label = document.createElement("span");
+    label.className = "time-slot-label weekday-label";
+    label.textContent = WEEKDAYS[i];
+
+    const start = document.createElement("input");
+    start.type = "time";
+    start.value = rule.start;
+    start.dataset.field = "start";
+
+    const end = document.createElement("input");
+    end.type = "time";
+    end.value = rule.end;
+    end.dataset.field = "end";
+
+    const commits = document.createElement("input");
+    commits.type = "number";
+    commits.min = 0;
+    commits.max = 20;
+    commits.placeholder = String(config.commitsPerDay || 3);
+    commits.value = rule.commits ?? "";
+    commits.dataset.field = "commits";
+
+    row.append(enabled, label, start, end, commits);
+    weekdayRows.appendChild(row);
+  });
+}
 
-    // 4. Save config
-    const config = {
-      token,
-      owner: repo.owner,
-      repo: repo.repo,
-      html_url: repo.html_url,
-      email,
-      authorName: user.name || user.login,
-      commitsPerDay,
-      scheduleMode,
-      fixedTimes,
-      enabled: true,
+function collectRules() {
+  return Array.from(weekdayRows.querySelectorAll(".weekday-row")).map((row) => {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    const commits = field("commits").value.trim();
+    return {
+      enabled: field("enabled").checked,
+      start: field("start").value,
+      end: field("end").value,
+      commits: commits === "" ? null : clamp(Number(commits), 0, 20),
     };
-    await chrome.storage.local.set({ config });
+  });
+}
 
-    // 5. Tell background to start
-    chrome.runtime.sendMessage({ type: "START" });
+rulesSaveBtn.addEventListener("click", async () => {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config) return;
 
-    // 6. Show dashboard
-    await showDashboard(config);
+  rulesStatus.classList.remove("hidden", "error-status");
+  const tz = timezoneInput.value.trim();
+  if (tz && !isValidTimeZone(tz)) {
+    rulesStatus.textContent = `> ERROR: unknown timezone "${tz}"`;
+    rulesStatus.classList.add("error-status");
+    return;
+  }
+  const rules = collectRules();
+  const invalid = validateWeekdayRules(rules);
+  if (invalid) {
+    rulesStatus.textContent = `> ERROR: ${invalid}`;
+    rulesStatus.classList.add("error-status");
+    return;
+  }
+
+  config.timezone = tz || null;
+  config.weekdayRules = rules;
+  await chrome.storage.local.set({ config });
+  chrome.runtime.sendMessage({ type: "SCHEDULE_UPDATED" });
+  rulesStatus.textContent = "> schedule saved";
+  await showDashboard(config);
+});
+
+// ─── Vacation: pause-until & blackouts ──────────────────────
+pauseToggle.addEventListener("click", () => {
+  pausePanel.classList.toggle("hidden");
+  pauseToggle.classList.toggle("open");
+});
+
+function renderPause(config) {
+  const tomorrow = addDays(dateKey(new Date(), timeZone), 1);
+  pauseUntilInput.min = tomorrow;
+  pauseUntilInput.value = config.pauseUntil || "";
+  pauseClearBtn.disabled = !config.pauseUntil;
+
+  blackoutList.innerHTML = "";
+  (config.blackouts || []).forEach((b, i) => {
+    const row = document.createElement("div");
+    row.className = "time-slot";
+
+    const text = document.createElement("span");
+    text.className = "blackout-text";
+    const range = b.start === b.end ? formatDay(b.start) : `${formatDay(b.start)} → ${formatDay(b.end)}`;
+    text.textContent = `${range}${b.yearly ? " ↻" : ""} · ${b.label || "blackout"}`;
+
+    const remove = document.createElement("button");
+    remove.className = "time-slot-remove";
+    remove.textContent = "×";
+    remove.setAttribute("aria-label", "Remove");
+    remove.addEventListener("click", () =>
+      updatePauseConfig((c) => {
+        c.blackouts.splice(i, 1);
+      })
+    );
+
+    row.append(text, remove);
+    blackoutList.appendChild(row);
+  });
+}
+
+function showPauseStatus(msg, isError = false) {
+  pauseStatus.textContent = msg;
+  pauseStatus.classList.remove("hidden");
+  pauseStatus.classList.toggle("error-status", isError);
+}
+
+async function updatePauseConfig(mutate) {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config) return;
+  config.blackouts = config.blackouts || [];
+  mutate(config);
+  await chrome.storage.local.set({ config });
+  chrome.runtime.sendMessage({ type: "SCHEDULE_UPDATED" });
+  await showDashboard(config);
+}
+
+pauseSetBtn.addEventListener("click", async () => {
+  const until = pauseUntilInput.value;
+  if (!until || until <= dateKey(new Date(), timeZone)) {
+    showPauseStatus("> ERROR: pick a resume date after today", true);
+    return;
+  }
+  await updatePauseConfig((c) => {
+    c.pauseUntil = until;
+  });
+  showPauseStatus(`> paused until ${formatDay(until)}`);
+});
+
+pauseClearBtn.addEventListener("click", async () => {
+  await updatePauseConfig((c) => {
+    c.pauseUntil = null;
+  });
+  showPauseStatus("> pause cleared");
+});
+
+blackoutAddBtn.addEventListener("click", async () => {
+  const start = blackoutFrom.value;
+  const end = blackoutTo.value || start;
+  if (!start || end < start) {
+    showPauseStatus("> ERROR: pick a valid date range", true);
+    return;
+  }
+  await updatePauseConfig((c) => {
+    c.blackouts.push({
+      start,
+      end,
+      label: blackoutLabel.value.trim() || null,
+      yearly: blackoutYearly.checked,
+    });
+  });
+  blackoutFrom.value = "";
+  blackoutTo.value = "";
+  blackoutLabel.value = "";
+  blackoutYearly.checked = false;
+  showPauseStatus("> blackout added");
+});
+
+icsImportBtn.addEventListener("click", () => icsInput.click());
+
+icsInput.addEventListener("change", async () => {
+  const file = icsInput.files[0];
+  icsInput.value = "";
+  if (!file) return;
+
+  let ranges;
+  try {
+    ranges = parseIcs(await file.text());
   } catch (err) {
-    console.error(err);
-    if (err.status === 403) {
-      showError(
-        setupError,
-        `> ACCESS_DENIED: insufficient permissions. ` +
-          `<a href="https://github.com/settings/tokens/new?scopes=repo&description=Ghost+Commits" ` +
-          `target="_blank">create token with repo scope →</a>`
-      );
-    } else if (err.status === 401) {
-      showError(setupError, "> AUTH_FAILED: invalid token");
-    } else {
-      showError(setupError, `> ERROR: ${err.message}`);
+    showPauseStatus(`> ERROR: ${err.message}`, true);
+    return;
+  }
+
+  // Past one-off events can never matter again.
+  const today = dateKey(new Date(), timeZone);
+  const upcoming = ranges.filter((r) => r.yearly || r.end >= today);
+  let added = 0;
+  await updatePauseConfig((c) => {
+    const seen = new Set(c.blackouts.map((b) => `${b.start}|${b.end}|${b.yearly}`));
+    for (const r of upcoming) {
+      const id = `${r.start}|${r.end}|${r.yearly}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      c.blackouts.push(r);
+      added++;
     }
-  } finally {
-    saveBtn.disabled = false;
-    saveLabel.textContent = "> INITIALIZE";
-    saveSpinner.classList.add("hidden");
+  });
+  showPauseStatus(`> imported ${added} blackout${added === 1 ? "" : "s"} from ${file.name}`);
+});
+
+// ─── Multi-device coordination ─────────────────────────────
+devicesToggle.addEventListener("click", () => {
+  devicesPanel.classList.toggle("hidden");
+  devicesToggle.classList.toggle("open");
+});
+
+async function renderDevices(config, today) {
+  const coordination = { repoCheck: true, syncBudget: false, ...config.coordination };
+  repoCheckInput.checked = coordination.repoCheck;
+  syncBudgetInput.checked = coordination.syncBudget;
+
+  if (!coordination.syncBudget) {
+    devicesInfo.textContent = "> budget kept on this device only";
+    return;
   }
+  const { dailyClaims } = await chrome.storage.sync.get("dailyClaims");
+  const claims = dailyClaims?.date === today ? dailyClaims.claims : [];
+  const devices = new Set(claims.map((c) => c.instance)).size;
+  devicesInfo.textContent = `> ${claims.length} commit${claims.length === 1 ? "" : "s"} claimed today by ${devices} device${devices === 1 ? "" : "s"}`;
+}
+
+async function saveCoordination() {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config) return;
+  config.coordination = {
+    repoCheck: repoCheckInput.checked,
+    syncBudget: syncBudgetInput.checked,
+  };
+  await chrome.storage.local.set({ config });
+  renderDevices(config, dateKey(new Date(), timeZone));
+}
+
+repoCheckInput.addEventListener("change", saveCoordination);
+syncBudgetInput.addEventListener("change", saveCoordination);
+
+// ─── Notifications ──────────────────────────────────────────
+notifyToggle.addEventListener("click", () => {
+  notifyPanel.classList.toggle("hidden");
+  notifyToggle.classList.toggle("open");
 });
 
-// ─── Toggle enable/disable ──────────────────────────────────
-toggleBtn.addEventListener("click", async () => {
+function renderNotifications(config) {
+  const settings = notificationSettings(config);
+  notifyEnabledInput.checked = settings.enabled;
+  quietEnabledInput.checked = settings.quiet.enabled;
+  quietStart.value = settings.quiet.start;
+  quietEnd.value = settings.quiet.end;
+
+  notifyTypes.innerHTML = "";
+  for (const [type, { label }] of Object.entries(NOTIFY_TYPES)) {
+    const row = document.createElement("div");
+    row.className = "field inline";
+    const name = document.createElement("label");
+    name.htmlFor = `notify-${type}-input`;
+    name.textContent = label;
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.id = `notify-${type}-input`;
+    input.dataset.type = type;
+    input.checked = settings.types[type];
+    input.disabled = !settings.enabled;
+    input.addEventListener("change", saveNotifications);
+    row.append(name, input);
+    notifyTypes.appendChild(row);
+  }
+  for (const input of [quietEnabledInput, quietStart, quietEnd]) {
+    input.disabled = !settings.enabled;
+  }
+}
+
+async function saveNotifications() {
   const { config } = await chrome.storage.local.get("config");
   if (!config) return;
+  const types = {};
+  for (const input of notifyTypes.querySelectorAll("input")) {
+    types[input.dataset.type] = input.checked;
+  }
+  config.notifications = {
+    enabled: notifyEnabledInput.checked,
+    types,
+    quiet: {
+      enabled: quietEnabledInput.checked,
+      start: quietStart.value || "22:00",
+      end: quietEnd.value || "07:00",
+    },
+  };
+  await chrome.storage.local.set({ config });
+  renderNotifications(config);
+}
+
+for (const input of [notifyEnabledInput, quietEnabledInput, quietStart, quietEnd]) {
+  input.addEventListener("change", saveNotifications);
+}
+
+/**
+ * Expand the panel a notification points at and scroll it into view.
+ */
+function openView(view) {
+  const panels = {
+    errors: [errorsToggle, errorsPanel],
+    history: [historyToggle, historyPanel],
+    notify: [notifyToggle, notifyPanel],
+    token: [tokenToggle, tokenPanel],
+    vault: [vaultToggle, vaultPanel],
+    diagnostics: [diagToggle, diagPanel],
+    target: [targetToggle, targetPanel],
+  };
+  const [toggle, panel] = panels[view] || [];
+  if (!panel || toggle.classList.contains("hidden")) return;
+  panel.classList.remove("hidden");
+  toggle.classList.add("open");
+  toggle.scrollIntoView({ block: "start" });
+}
+
+// ─── Token expiry & replacement ─────────────────────────────
+tokenToggle.addEventListener("click", () => {
+  tokenPanel.classList.toggle("hidden");
+  tokenToggle.classList.toggle("open");
+});
+
+function renderTokenExpiry(config) {
+  tokenExpiryEl.className = "token-expiry";
+  if (!config.tokenExpiresAt) {
+    tokenExpiryEl.textContent = config.tokenCheckedAt ? "no expiry" : "—";
+    return;
+  }
+  const when = formatDay(dateKey(new Date(config.tokenExpiresAt), timeZone));
+  const warning = tokenExpiryWarning(config.tokenExpiresAt);
+  if (!warning) {
+    tokenExpiryEl.textContent = `expires ${when}`;
+  } else if (warning.level) {
+    tokenExpiryEl.textContent = `EXPIRES IN ${warning.daysLeft}D · ${when} → replace`;
+    tokenExpiryEl.classList.add("warn");
+  } else {
+    tokenExpiryEl.textContent = `EXPIRED ${when} → replace`;
+    tokenExpiryEl.classList.add("expired");
+  }
+}
+
+tokenExpiryEl.addEventListener("click", () => {
+  if (tokenExpiryEl.matches(".warn, .expired")) openView("token");
+});
+
+function showTokenStatus(msg, isError = false) {
+  tokenStatus.textContent = msg;
+  tokenStatus.classList.toggle("error-status", isError);
+  tokenStatus.classList.remove("hidden");
+}
+
+// Swap the token in place — same account, same repo — without a TERMINATE.
+replaceTokenBtn.addEventListener("click", async () => {
+  const token = newTokenInput.value.trim();
+  if (!token) {
+    showTokenStatus("> ERROR: token required", true);
+    return;
+  }
+
+  replaceTokenBtn.disabled = true;
+  try {
+    const { config } = await chrome.storage.local.get("config");
+    if (!config) return;
+
+    const { user, scopes, expiresAt } = await validateToken(token);
+    const login = config.login || config.owner;
+    if (user.login !== login) {
+      showTokenStatus(`> ERROR: token belongs to ${user.login}, not ${login}`, true);
+      return;
+    }
+    if (scopes !== null && !scopes.includes("repo")) {
+      showTokenStatus("> ERROR: missing repo scope", true);
+      return;
+    }
+    // Fine-grained tokens can be limited to some repos — make sure ours is one.
+    await getRepo(token, config.owner, config.repo);
 
-  config.enabled = !config.enabled;
+    if (config.tokenVault) {
+      config.tokenVault = await resealVault(config.tokenVault, token);
+    } else {
+      config.token = token;
+    }
+    config.tokenExpiresAt = expiresAt;
+    config.tokenCheckedAt = new Date().toISOString();
+    await chrome.storage.local.set({ config });
+    newTokenInput.value = "";
+    showTokenStatus("> token replaced");
+    chrome.runtime.sendMessage({ type: "TOKEN_UPDATED" });
+    await showDashboard(config);
+  } catch (err) {
+    if (err.status === 401) {
+      showTokenStatus("> AUTH_FAILED: invalid token", true);
+    } else if (err.status === 404 || err.status === 403) {
+      const { config } = await chrome.storage.local.get("config");
+      showTokenStatus(`> ACCESS_DENIED: token cannot reach ${config?.owner}/${config?.repo}`, true);
+    } else {
+      showTokenStatus(`> ERROR: ${err.message}`, true);
+    }
+  } finally {
+    replaceTokenBtn.disabled = false;
+  }
+});
+
+// ─── Contribution diagnostics ───────────────────────────────
+diagToggle.addEventListener("click", () => {
+  diagPanel.classList.toggle("hidden");
+  diagToggle.classList.toggle("open");
+});
+
+diagRunBtn.addEventListener("click", async () => {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config) return;
+  diagStatus.classList.add("hidden");
+  const token = await resolveToken(config);
+  if (!token) {
+    diagStatus.textContent = "> LOCKED: unlock the token first";
+    diagStatus.classList.add("error-status");
+    diagStatus.classList.remove("hidden");
+    return;
+  }
+
+  diagRunBtn.disabled = true;
+  diagRunBtn.textContent = "CHECKING…";
+  try {
+    const checks = await diagnoseContributions(token, {
+      owner: config.owner,
+      repo: config.repo,
+      email: config.email,
+      branch: config.branch || "main",
+    });
+    renderChecklist(diagList, checks);
+    const failed = checks.filter((c) => c.ok === false).length;
+    diagStatus.textContent = failed
+      ? `> ${failed} problem${failed === 1 ? "" : "s"} — commits may not count`
+      : "> all checks passed";
+    diagStatus.classList.toggle("error-status", failed > 0);
+  } catch (err) {
+    diagStatus.textContent = `> ERROR: ${err.message}`;
+    diagStatus.classList.add("error-status");
+  } finally {
+    diagStatus.classList.remove("hidden");
+    diagRunBtn.disabled = false;
+    diagRunBtn.textContent = "RUN_DIAGNOSTICS";
+  }
+});
+
+// ─── Token vault ────────────────────────────────────────────
+vaultToggle.addEventListener("click", () => {
+  vaultPanel.classList.toggle("hidden");
+  vaultToggle.classList.toggle("open");
+});
+
+// "off" | "locked" | "unlocked" — what the panel buttons act on.
+let vaultMode = "off";
+
+function renderVault(config, locked) {
+  vaultMode = !config.tokenVault ? "off" : locked ? "locked" : "unlocked";
+  vaultPassInput.value = "";
+  vaultConfirmInput.value = "";
+  vaultPassInput.classList.toggle("hidden", vaultMode === "unlocked");
+  vaultConfirmInput.classList.toggle("hidden", vaultMode !== "off");
+  vaultSecondaryBtn.classList.toggle("hidden", vaultMode !== "unlocked");
+
+  if (vaultMode === "off") {
+    vaultInfo.textContent = "> token stored in plain text";
+    vaultPrimaryBtn.textContent = "ENCRYPT";
+  } else if (vaultMode === "locked") {
+    vaultInfo.textContent = "> LOCKED — commits wait until the passphrase is entered";
+    vaultPrimaryBtn.textContent = "UNLOCK";
+    // Nothing runs while locked: put the unlock box in front.
+    vaultPanel.classList.remove("hidden");
+    vaultToggle.classList.add("open");
+  } else {
+    vaultInfo.textContent = "> token encrypted · unlocked until the browser closes";
+    vaultPrimaryBtn.textContent = "LOCK_NOW";
+    vaultSecondaryBtn.textContent = "DECRYPT";
+  }
+}
+
+function showVaultStatus(msg, isError = false) {
+  vaultStatus.textContent = msg;
+  vaultStatus.classList.toggle("error-status", isError);
+  vaultStatus.classList.remove("hidden");
+}
+
+vaultPrimaryBtn.addEventListener("click", async () => {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config) return;
+  const passphrase = vaultPassInput.value;
+
+  vaultPrimaryBtn.disabled = true;
+  try {
+    if (vaultMode === "off") {
+      if (passphrase.length < 8) {
+        showVaultStatus("> ERROR: passphrase needs 8+ characters", true);
+        return;
+      }
+      if (passphrase !== vaultConfirmInput.value) {
+        showVaultStatus("> ERROR: passphrases differ", true);
+        return;
+      }
+      config.tokenVault = await createVault(config.token, passphrase);
+      config.token = null;
+      await chrome.storage.local.set({ config });
+      showVaultStatus("> token encrypted");
+    } else if (vaultMode === "locked") {
+      await unlockVault(config.tokenVault, passphrase);
+      chrome.runtime.sendMessage({ type: "UNLOCKED" });
+      showVaultStatus("> unlocked");
+    } else {
+      await lockVault();
+      showVaultStatus("> locked");
+    }
+    await showDashboard(config);
+  } catch (err) {
+    showVaultStatus(`> ERROR: ${err.message}`, true);
+  } finally {
+    vaultPrimaryBtn.disabled = false;
+  }
+});
+
+// Back to a plain-text token (needs the session key, i.e. unlocked).
+vaultSecondaryBtn.addEventListener("click", async () => {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config?.tokenVault) return;
+  const token = await resolveToken(config);
+  if (!token) {
+    showVaultStatus("> ERROR: unlock first", true);
+    return;
+  }
+  // The signing key is only ever stored sealed with the vault key.
+  if (config.signingKey && !confirm("DECRYPT also removes the signing key. Continue?")) return;
+  config.token = token;
+  delete config.tokenVault;
+  delete config.signingKey;
+  await chrome.storage.local.set({ config });
+  await lockVault();
+  showVaultStatus("> token stored in plain text again");
+  await showDashboard(config);
+});
+
+// ─── Commit signing ─────────────────────────────────────────
+signingToggle.addEventListener("click", () => {
+  signingPanel.classList.toggle("hidden");
+  signingToggle.classList.toggle("open");
+});
+
+function renderSigning(config, locked) {
+  const key = config.signingKey;
+  // The private key is stored sealed with the vault key, so it needs an
+  // unlocked vault to import.
+  const ready = Boolean(config.tokenVault) && !locked;
+  signingKeyInput.disabled = !ready;
+  signingPassInput.disabled = !ready;
+  signingImportBtn.disabled = !ready;
+  signingRemoveBtn.classList.toggle("hidden", !key);
+  signingImportBtn.textContent = key ? "REPLACE_KEY" : "IMPORT_KEY";
+
+  if (!config.tokenVault) {
+    signingInfo.textContent = "> set a passphrase in [vault] first — the key is only stored encrypted";
+  } else if (locked) {
+    signingInfo.textContent = "> LOCKED — unlock in [vault] to sign or import";
+  } else if (key) {
+    signingInfo.textContent = `> ${key.algorithm} · ${key.keyId} · ${key.userId || "no user id"}`;
+  } else {
+    signingInfo.textContent = "> no signing key — REST commits are unsigned";
+  }
+
+  // GitHub only verifies when the key's email is the commit email.
+  const mismatch = key && config.email && !key.userId.toLowerCase().includes(`<${config.email.toLowerCase()}>`);
+  signingWarning.textContent = mismatch
+    ? `! key is for ${key.userId}, commits use ${config.email} — GitHub won't show Verified`
+    : "";
+  signingWarning.classList.toggle("hidden", !mismatch);
+}
+
+function showSigningStatus(msg, isError = false) {
+  signingStatus.textContent = msg;
+  signingStatus.classList.toggle("error-status", isError);
+  signingStatus.classList.remove("hidden");
+}
+
+signingImportBtn.addEventListener("click", async () => {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config) return;
+
+  signingImportBtn.disabled = true;
+  showSigningStatus("> reading key…");
+  try {
+    const key = await importSigningKey(signingKeyInput.value, signingPassInput.value);
+    const { jwk, ...info } = key;
+    config.signingKey = { ...info, sealed: await sealSecret(JSON.stringify(jwk)) };
+    await chrome.storage.local.set({ config });
+    signingKeyInput.value = "";
+    signingPassInput.value = "";
+    showSigningStatus(`> signing with ${key.keyId}`);
+    await showDashboard(config);
+  } catch (err) {
+    showSigningStatus(`> ERROR: ${err.message}`, true);
+  } finally {
+    signingImportBtn.disabled = false;
+  }
+});
+
+signingRemoveBtn.addEventListener("click", async () => {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config?.signingKey) return;
+  delete config.signingKey;
+  await chrome.storage.local.set({ config });
+  showSigningStatus("> signing key removed");
+  await showDashboard(config);
+});
+
+// ─── Errors ─────────────────────────────────────────────────
+errorsToggle.addEventListener("click", () => {
+  errorsPanel.classList.toggle("hidden");
+  errorsToggle.classList.toggle("open");
+});
+
+/**
+ * Unresolved errors (logged since the last success or dismissal), one
+ * group per cause with guidance and a retry button.
+ */
+function renderErrors(errorLog, resolvedAt) {
+  const open = openErrors(errorLog, resolvedAt);
+  errorsToggle.classList.toggle("hidden", open.length === 0);
+  if (!open.length) {
+    errorsPanel.classList.add("hidden");
+    errorsToggle.classList.remove("open");
+    hideError(dashboardError);
+    return;
+  }
+
+  const noun = open.length === 1 ? "error" : "errors";
+  errorsToggleLabel.textContent = `[errors] ${open.length} unresolved`;
+  showError(dashboardError, `> ${open.length} UNRESOLVED ${noun.toUpperCase()} — see [errors]`);
+
+  errorGroups.innerHTML = "";
+  for (const { kind, entries } of groupErrors(open)) {
+    const group = document.createElement("div");
+    group.className = "error-group";
+
+    const head = document.createElement("div");
+    head.className = "error-group-head";
+    const label = document.createElement("span");
+    label.className = "error-kind";
+    label.textContent = `${ERROR_KINDS[kind].label} ×${entries.length}`;
+    const retry = document.createElement("button");
+    retry.className = "link-btn";
+    retry.textContent = "↻ RETRY_NOW";
+    retry.addEventListener("click", () => retryNow(retry));
+    head.append(label, retry);
+
+    const guidance = document.createElement("p");
+    guidance.className = "error-guidance";
+    guidance.textContent = ERROR_KINDS[kind].guidance;
+
+    const latest = document.createElement("p");
+    latest.className = "error-latest";
+    latest.textContent = `${formatDate(entries[0].time)} · ${entries[0].message}`;
+
+    group.append(head, guidance, latest);
+    errorGroups.appendChild(group);
+  }
+}
+
+async function retryNow(button) {
+  button.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ type: "RETRY_NOW" });
+    retryStatus.textContent = response?.ok
+      ? "> retry started"
+      : `> RETRY_FAILED: ${response?.error || "unknown error"}`;
+    retryStatus.classList.toggle("error-status", !response?.ok);
+    retryStatus.classList.remove("hidden");
+  } finally {
+    button.disabled = false;
+  }
+}
+
+dismissErrorsBtn.addEventListener("click", async () => {
+  await chrome.runtime.sendMessage({ type: "DISMISS_ERRORS" });
+  retryStatus.classList.add("hidden");
+});
+
+// ─── History & heatmap ──────────────────────────────────────
+historyToggle.addEventListener("click", () => {
+  historyPanel.classList.toggle("hidden");
+  historyToggle.classList.toggle("open");
+});
+
+// Web links for commits: same host as the repo's html_url.
+function commitUrl(config, entry) {
+  return `${new URL(config.html_url).origin}/${entry.repo}/commit/${entry.sha}`;
+}
+
+function dayCommitsUrl(config, entry, key) {
+  return `${new URL(config.html_url).origin}/${entry.repo}/commits?since=${key}&until=${key}`;
+}
+
+/**
+ * Current streak (ending today, or yesterday while today is still open) and
+ * the longest run of consecutive active days.
+ */
+function streaks(activeDays, today) {
+  let current = 0;
+  let day = activeDays.has(today) ? today : addDays(today, -1);
+  while (activeDays.has(day)) {
+    current++;
+    day = addDays(day, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const key of [...activeDays].sort()) {
+    run = prev && addDays(prev, 1) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = key;
+  }
+  return { current, longest };
+}
+
+function renderHistory(config, history) {
+  const today = dateKey(new Date(), timeZone);
+  const byDay = new Map();
+  for (const entry of history) {
+    if (entry.result === "failure" || !entry.sha) continue;
+    const key = dateKey(new Date(entry.date), timeZone);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(entry);
+  }
+
+  // 52 full weeks plus this one, columns starting on Sunday like GitHub's.
+  const start = addDays(today, -(52 * 7 + weekdayOf(today)));
+  heatmap.innerHTML = "";
+  let total = 0;
+  for (let key = start; key <= today; key = addDays(key, 1)) {
+    const entries = byDay.get(key) || [];
+    total += entries.length;
+    const cell = document.createElement(entries.length ? "a" : "span");
+    cell.className = `heat-cell level-${Math.min(entries.length, 4)}`;
+    cell.title = `${entries.length} commit${entries.length === 1 ? "" : "s"} · ${formatDay(key)}`;
+    if (entries.length && config.html_url) {
+      cell.href =
+        entries.length === 1 ? commitUrl(config, entries[0]) : dayCommitsUrl(config, entries[0], key);
+      cell.target = "_blank";
+    }
+    heatmap.appendChild(cell);
+  }
+
+  const { current, longest } = streaks(new Set(byDay.keys()), today);
+  statStreak.textContent = `${current} day${current === 1 ? "" : "s"} (best ${longest})`;
+  statTotal.textContent = String(total);
+
+  // Only this device's journal knows about failures.
+  const attempts = history.filter((e) => e.result);
+  const ok = attempts.filter((e) => e.result === "success").length;
+  statSuccess.textContent = attempts.length
+    ? `${Math.round((ok / attempts.length) * 100)}% (${ok}/${attempts.length})`
+    : "—";
+
+  historyList.innerHTML = "";
+  for (const entry of history.slice(0, 8)) {
+    const row = document.createElement("div");
+    const failed = entry.result === "failure";
+    row.className = failed ? "failed" : "";
+    row.append(`${failed ? "✗" : "✓"} ${formatDate(entry.date)} · `);
+    if (entry.sha && config.html_url) {
+      const link = document.createElement("a");
+      link.href = commitUrl(config, entry);
+      link.target = "_blank";
+      link.textContent = entry.sha.slice(0, 7);
+      row.append(link);
+    } else {
+      row.append(failed ? "failed" : "—");
+    }
+    row.append(` · ${entry.mode || "repo"}`);
+    if (failed) row.title = entry.error || "";
+    historyList.appendChild(row);
+  }
+}
+
+// ─── Sync from repo ─────────────────────────────────────────
+syncBtn.addEventListener("click", async () => {
+  syncBtn.disabled = true;
+  syncBtn.textContent = "SYNCING…";
+  const response = await chrome.runtime.sendMessage({ type: "SYNC_HISTORY" });
+  const { config } = await chrome.storage.local.get("config");
+  if (config) await showDashboard(config);
+  if (!response?.ok) {
+    showError(dashboardError, `> SYNC_FAILED: ${response?.error || "unknown error"}`);
+  } else {
+    hideError(dashboardError);
+  }
+});
+
+// ─── Save / Connect ─────────────────────────────────────────
+saveBtn.addEventListener("click", () => connect(tokenInput.value.trim()));
+
+/**
+ * Validate `token`, find or create the ghost repo and save the config — for
+ * a pasted token and one from the OAuth device flow alike.
+ */
+async function connect(token) {
+  hideError(setupError);
+  capabilityList.classList.add("hidden");
+  const target = setupTarget.read();
+  const targetProblem = targetError(target);
+  const commitsPerDay = clamp(Number(commitsInput.value), 1, 20);
+
+  if (!token) {
+    showError(setupError, "> ERROR: token required");
+    return;
+  }
+  if (targetProblem) {
+    showError(setupError, `> ERROR: ${targetProblem}`);
+    return;
+  }
+  // First await: the permission prompt needs the click's user gesture.
+  const apiBase = setupApiBase;
+  if (!(await requestHostAccess([apiBase]))) {
+    showError(setupError, `> ERROR: no access to ${new URL(apiBase).host} — allow it to connect`);
+    return;
+  }
+  setApiBase(apiBase);
+
+  saveBtn.disabled = true;
+  saveLabel.textContent = "> CONNECTING…";
+  saveSpinner.classList.remove("hidden");
+
+  try {
+    // 1. Validate token & check scopes
+    const { user, scopes, expiresAt } = await validateToken(token);
+
+    if (scopes !== null && !scopes.includes("repo")) {
+      showError(
+        setupError,
+        `> ERROR: missing <strong>repo</strong> scope. ` +
+          `<a href="${webUrl(TOKEN_PAGE_PATH)}" target="_blank">create new token →</a>`
+      );
+      return;
+    }
+
+    // 2. Probe what the token can really do (fine-grained PATs report no
+    //    scopes); this also finds or creates the private repo.
+    const { repo, checks } = await probeCapabilities(token, user.login, {
+      classic: scopes !== null,
+      ...targetRepo(target, user.login),
+    });
+    renderChecklist(capabilityList, checks);
+    if (checks.some((c) => c.required && !c.ok)) {
+      showError(setupError, "> ERROR: token is missing permissions — see checklist above");
+      return;
+    }
+
+    const email = await getUserEmail(token);
+
+    if (!email) {
+      showError(
+        setupError,
+        "> ERROR: no verified email found. Ghost commits need a verified email for your contribution graph."
+      );
+      return;
+    }
+
+    // 3. Determine schedule mode & times
+    const scheduleMode = modeFixed.classList.contains("active") ? "fixed" : "random";
+    const fixedTimes = scheduleMode === "fixed" ? collectTimes(timeSlotsSetup) : [];
+
+    // 4. Save config
+    const config = {
+      token,
+      apiBase: apiBase === DEFAULT_API_BASE ? null : apiBase,
+      tokenExpiresAt: expiresAt,
+      tokenCheckedAt: new Date().toISOString(),
+      owner: repo.owner,
+      repo: repo.repo,
+      html_url: repo.html_url,
+      branch: repo.default_branch,
+      defaultBranch: repo.default_branch,
+      filePath: target.path,
+      email,
+      login: user.login,
+      authorName: user.name || user.login,
+      commitsPerDay,
+      scheduleMode,
+      fixedTimes,
+      timezone: browserTimeZone(),
+      weekdayRules: defaultWeekdayRules(),
+      enabled: true,
+    };
+    await chrome.storage.local.set({ config });
+
+    // 5. Tell background to start
+    chrome.runtime.sendMessage({ type: "START" });
+
+    // 6. Show dashboard, then refresh once history is rebuilt from the repo
+    //    (an existing repo after a reinstall already has today's commits).
+    await showDashboard(config);
+    chrome.runtime.sendMessage({ type: "SYNC_HISTORY" }).then(async (response) => {
+      if (response?.ok) await showDashboard(config);
+    });
+  } catch (err) {
+    console.error(err);
+    if (err.status === 403) {
+      showError(
+        setupError,
+        `> ACCESS_DENIED: insufficient permissions. ` +
+          `<a href="${webUrl(TOKEN_PAGE_PATH)}" target="_blank">create token with repo scope →</a>`
+      );
+    } else if (err.status === 401) {
+      showError(setupError, "> AUTH_FAILED: invalid token");
+    } else {
+      showError(setupError, `> ERROR: ${err.message}`);
+    }
+  } finally {
+    saveBtn.disabled = false;
+    saveLabel.textContent = "> INITIALIZE";
+    saveSpinner.classList.add("hidden");
+  }
+}
+
+// ─── Target picker ──────────────────────────────────────────
+// Setup and the dashboard's [target] panel share the markup, with ids
+// prefixed "setup-" / "dash-". `getToken` supplies the token for LOAD.
+
+function wireTargetPicker(prefix, getToken) {
+  const el = (id) => document.getElementById(`${prefix}-${id}`);
+  let mode = "new";
+  let isPrivate = true;
+
+  const modeBtns = el("target-mode").querySelectorAll(".mode-btn");
+  modeBtns.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      mode = btn.dataset.target;
+      modeBtns.forEach((b) => b.classList.toggle("active", b === btn));
+      el("target-new").classList.toggle("hidden", mode !== "new");
+      el("target-existing").classList.toggle("hidden", mode !== "existing");
+    });
+  });
+
+  const visibilityBtns = el("visibility-toggle").querySelectorAll(".mode-btn");
+  visibilityBtns.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      isPrivate = btn.dataset.private === "true";
+      visibilityBtns.forEach((b) => b.classList.toggle("active", b === btn));
+    });
+  });
+
+  const loadBtn = el("repo-load-btn");
+  loadBtn.addEventListener("click", async () => {
+    const token = await getToken();
+    if (!token) return;
+    loadBtn.disabled = true;
+    loadBtn.textContent = "LOADING…";
+    try {
+      const repos = await listRepos(token);
+      const options = el("repo-options");
+      options.innerHTML = "";
+      for (const r of repos) {
+        const option = document.createElement("option");
+        option.value = `${r.owner}/${r.repo}`;
+        option.label = `${r.private ? "private" : "public"}${r.fork ? " · fork" : ""}`;
+        options.appendChild(option);
+      }
+      loadBtn.textContent = `↻ ${repos.length} REPOS`;
+    } catch (err) {
+      loadBtn.textContent = "↻ LOAD_FAILED";
+      console.error(err);
+    } finally {
+      loadBtn.disabled = false;
+    }
+  });
+
+  return {
+    read() {
+      return {
+        existing: mode === "existing" ? el("repo-pick-input").value.trim() : null,
+        name: el("repo-name-input").value.trim(),
+        isPrivate,
+        path: el("file-path-input").value.trim(),
+      };
+    },
+    setPath(path) {
+      el("file-path-input").value = path;
+    },
+  };
+}
+
+function targetError(target) {
+  if (target.existing !== null && !/^[\w.-]+\/[\w.-]+$/.test(target.existing)) {
+    return "pick a repo as owner/repo";
+  }
+  if (target.existing === null && !/^[\w.-]+$/.test(target.name)) {
+    return "repo name may only use letters, digits, - . _";
+  }
+  return validateFilePath(target.path);
+}
+
+// probeCapabilities options for a picked target.
+function targetRepo(target, login) {
+  if (!target.existing) return { owner: login, name: target.name, isPrivate: target.isPrivate };
+  const [owner, name] = target.existing.split("/");
+  return { owner, name };
+}
+
+const setupTarget = wireTargetPicker("setup", async () => tokenInput.value.trim() || null);
+const dashTarget = wireTargetPicker("dash", async () => {
+  const { config } = await chrome.storage.local.get("config");
+  return config ? resolveToken(config) : null;
+});
+
+targetToggle.addEventListener("click", () => {
+  targetPanel.classList.toggle("hidden");
+  targetToggle.classList.toggle("open");
+});
+
+function renderTarget(config) {
+  targetCurrent.textContent = `> now: ${config.owner}/${config.repo} · ${config.filePath || FILE_PATH}`;
+  dashTarget.setPath(config.filePath || FILE_PATH);
+}
+
+function showTargetStatus(msg, isError = false) {
+  targetStatus.textContent = msg;
+  targetStatus.classList.toggle("error-status", isError);
+  targetStatus.classList.remove("hidden");
+}
+
+// Point commits at another repo / file. History stays: each journal entry
+// names its repo, and a sync merges the new target's commits in.
+targetSwitchBtn.addEventListener("click", async () => {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config) return;
+  const target = dashTarget.read();
+  const problem = targetError(target);
+  if (problem) {
+    showTargetStatus(`> ERROR: ${problem}`, true);
+    return;
+  }
+  const token = await resolveToken(config);
+  if (!token) {
+    showTargetStatus("> LOCKED: unlock the token first", true);
+    return;
+  }
+
+  targetSwitchBtn.disabled = true;
+  targetChecks.classList.add("hidden");
+  try {
+    const { user, scopes } = await validateToken(token);
+    const { repo, checks } = await probeCapabilities(token, user.login, {
+      classic: scopes !== null,
+      ...targetRepo(target, user.login),
+    });
+    if (checks.some((c) => c.required && !c.ok)) {
+      renderChecklist(targetChecks, checks);
+      showTargetStatus("> ERROR: token is missing permissions for that repo", true);
+      return;
+    }
+
+    Object.assign(config, {
+      owner: repo.owner,
+      repo: repo.repo,
+      html_url: repo.html_url,
+      branch: repo.default_branch,
+      defaultBranch: repo.default_branch,
+      filePath: target.path,
+    });
+    await chrome.storage.local.set({ config });
+    await chrome.storage.local.remove("lastSync");
+    showTargetStatus(`> target: ${repo.owner}/${repo.repo} · ${target.path}`);
+    await showDashboard(config);
+    chrome.runtime.sendMessage({ type: "SYNC_HISTORY" }).then(async (response) => {
+      if (response?.ok) await showDashboard(config);
+    });
+  } catch (err) {
+    showTargetStatus(`> ERROR: ${err.message}`, true);
+  } finally {
+    targetSwitchBtn.disabled = false;
+  }
+});
+
+/**
+ * Checklist from probeCapabilities / diagnoseContributions: ✓ ok, ✗ failed
+ * (! when not required), ? unknown — failed and unknown items show the fix.
+ */
+function renderChecklist(list, checks) {
+  list.innerHTML = "";
+  for (const check of checks) {
+    const optional = check.required === false;
+    const item = document.createElement("li");
+    const mark = check.ok === null ? "?" : check.ok ? "✓" : optional ? "!" : "✗";
+    item.className =
+      check.ok === null ? "skipped" : check.ok ? "ok" : optional ? "warn" : "missing";
+    item.textContent = `${mark} ${check.label}${check.detail ? ` · ${check.detail}` : ""}`;
+    if (!check.ok && check.fix) {
+      const fix = document.createElement("span");
+      fix.className = "capability-fix";
+      fix.textContent = `// ${check.fix}`;
+      item.append(fix);
+    }
+    list.appendChild(item);
+  }
+  list.classList.remove("hidden");
+}
+
+// ─── Commit template ────────────────────────────────────────
+templateToggle.addEventListener("click", () => {
+  templatePanel.classList.toggle("hidden");
+  templateToggle.classList.toggle("open");
+});
+
+let templateMode = DEFAULT_TEMPLATE.mode;
+let templatePreviewCtx = { timeZone: null, counter: 1, filePath: FILE_PATH };
+
+function setTemplateMode(mode) {
+  templateMode = mode;
+  templateModeToggle.querySelectorAll(".mode-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.fileMode === mode);
+  });
+}
+
+function fillTemplateInputs(template) {
+  templatePathInput.value = template.path;
+  templateMessageInput.value = template.message;
+  templateContentInput.value = template.content;
+  templateWordsInput.value = template.words.join("\n");
+  setTemplateMode(template.mode);
+}
+
+function collectTemplate() {
+  return {
+    path: templatePathInput.value.trim(),
+    content: templateContentInput.value,
+    message: templateMessageInput.value,
+    mode: templateMode,
+    words: templateWordsInput.value
+      .split(/[\n,]/)
+      .map((w) => w.trim())
+      .filter(Boolean),
+  };
+}
+
+async function renderTemplatePanel(config) {
+  const { commitCounter } = await chrome.storage.local.get("commitCounter");
+  templatePreviewCtx = {
+    timeZone: config.timezone,
+    counter: (commitCounter || 0) + 1,
+    filePath: config.filePath || FILE_PATH,
+  };
+  templatePathInput.placeholder = templatePreviewCtx.filePath;
+  fillTemplateInputs(templateFor(config));
+  renderTemplatePreview();
+}
+
+/**
+ * What the next commit would look like with the template as typed.
+ */
+function renderTemplatePreview() {
+  const template = collectTemplate();
+  const invalid = validateTemplate(template);
+  templatePreview.classList.toggle("error-status", Boolean(invalid));
+  if (invalid) {
+    templatePreview.textContent = `ERROR: ${invalid}`;
+    return;
+  }
+  const file = renderTemplate(
+    template,
+    templateContext({
+      date: new Date(),
+      timeZone: templatePreviewCtx.timeZone,
+      counter: templatePreviewCtx.counter,
+      mode: "random",
+      words: template.words,
+    })
+  );
+  const path = file.path || templatePreviewCtx.filePath;
+  templatePreview.textContent =
+    `$ git commit -m "${file.message}"\n` +
+    `${file.append ? ">>" : ">"} ${path}\n` +
+    file.content;
+}
+
+for (const input of [
+  templatePathInput,
+  templateMessageInput,
+  templateContentInput,
+  templateWordsInput,
+]) {
+  input.addEventListener("input", renderTemplatePreview);
+}
+
+templateModeToggle.querySelectorAll(".mode-btn").forEach((btn) => {
+  btn.addEventListener("click", () => {
+    setTemplateMode(btn.dataset.fileMode);
+    renderTemplatePreview();
+  });
+});
+
+templateResetBtn.addEventListener("click", () => {
+  fillTemplateInputs(DEFAULT_TEMPLATE);
+  renderTemplatePreview();
+  templateStatus.classList.add("hidden");
+});
+
+templateSaveBtn.addEventListener("click", async () => {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config) return;
+
+  templateStatus.classList.remove("hidden", "error-status");
+  const template = collectTemplate();
+  const invalid = validateTemplate(template);
+  if (invalid) {
+    templateStatus.textContent = `> ERROR: ${invalid}`;
+    templateStatus.classList.add("error-status");
+    return;
+  }
+
+  config.template = template;
+  await chrome.storage.local.set({ config });
+  templateStatus.textContent = "> template saved — applies from the next commit";
+});
+
+// ─── Journal / TIL ──────────────────────────────────────────
+journalToggle.addEventListener("click", () => {
+  journalPanel.classList.toggle("hidden");
+  journalToggle.classList.toggle("open");
+});
+
+async function renderJournal(config) {
+  const enabled = Boolean(config.journal?.enabled);
+  journalEnabledInput.checked = enabled;
+
+  const queue = await getJournalQueue();
+  journalQueueEl.innerHTML = "";
+  for (const note of queue) {
+    const row = document.createElement("div");
+    row.className = "time-slot";
+
+    const text = document.createElement("span");
+    text.className = "blackout-text";
+    text.textContent = `${formatDate(note.addedAt)} · ${note.text}`;
+
+    const remove = document.createElement("button");
+    remove.className = "time-slot-remove";
+    remove.textContent = "×";
+    remove.setAttribute("aria-label", "Remove");
+    remove.addEventListener("click", async () => {
+      await removeNotes([note.id]);
+      await renderJournal(config);
+    });
+
+    row.append(text, remove);
+    journalQueueEl.appendChild(row);
+  }
+
+  const path = journalPath(new Date(), timeZone);
+  if (!enabled) {
+    journalInfo.textContent = "> off — notes stay queued until journal mode is on";
+  } else if (queue.length) {
+    journalInfo.textContent = `> ${queue.length} queued → ${path} with the next commit (FORCE_COMMIT sends them now)`;
+  } else {
+    journalInfo.textContent = "> queue empty — commits write the normal template until you add a note";
+  }
+}
+
+journalEnabledInput.addEventListener("change", async () => {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config) return;
+  config.journal = { ...config.journal, enabled: journalEnabledInput.checked };
+  await chrome.storage.local.set({ config });
+  await renderJournal(config);
+});
+
+async function queueNote() {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config) return;
+  journalStatus.classList.remove("hidden", "error-status");
+  try {
+    await addNote(journalNoteInput.value);
+  } catch (err) {
+    journalStatus.textContent = `> ERROR: ${err.message}`;
+    journalStatus.classList.add("error-status");
+    return;
+  }
+  journalNoteInput.value = "";
+  journalStatus.textContent = "> note queued";
+  await renderJournal(config);
+}
+
+journalAddBtn.addEventListener("click", queueNote);
+journalNoteInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    queueNote();
+  }
+});
+
+// ─── GitHub Enterprise Server host ──────────────────────────
+// Setup picks the host; connect() saves it as config.apiBase. Anything
+// other than github.com needs its host permission granted at runtime.
+
+let setupApiBase = DEFAULT_API_BASE;
+
+hostToggle.addEventListener("click", () => {
+  hostPanel.classList.toggle("hidden");
+  hostToggle.classList.toggle("open");
+});
+
+function applySetupHost() {
+  const input = apiBaseInput.value;
+  const invalid = validateApiBase(input);
+  hostHint.classList.toggle("error-status", Boolean(invalid));
+  if (invalid) {
+    hostHint.textContent = `> ERROR: ${invalid}`;
+    return;
+  }
+  setupApiBase = normalizeApiBase(input);
+  setApiBase(setupApiBase);
+  const { api, graphql } = apiEndpoints(setupApiBase);
+  hostHint.textContent =
+    setupApiBase === DEFAULT_API_BASE
+      ? "> e.g. ghe.example.com — REST at /api/v3, GraphQL at /api/graphql"
+      : `> REST ${api} · GraphQL ${graphql}`;
+  renderHostLinks();
+  renderOAuthSettings();
+}
+
+apiBaseInput.addEventListener("change", applySetupHost);
+
+/**
+ * Token, GPG key and OAuth links on the current host.
+ */
+function renderHostLinks() {
+  const tokenPage = webUrl(TOKEN_PAGE_PATH);
+  guideTokenLink.href = tokenPage;
+  guideTokenLink.textContent = `> open ${new URL(tokenPage).host}/settings/tokens ↗`;
+  tokenNewLink.href = tokenPage;
+  signingGpgLink.href = webUrl("/settings/gpg/new");
+  oauthBaseInput.placeholder = webUrl("");
+  oauthAppLink.href = webUrl("/settings/applications/new");
+}
+
+/**
+ * Match patterns for the hosts among `urls` the manifest doesn't already
+ * cover. Match patterns take no port, so a local mock on :8080 is
+ * "http://localhost/*".
+ */
+function hostPatterns(urls) {
+  const patterns = new Set();
+  for (const url of urls) {
+    const { protocol, hostname } = new URL(url);
+    if (hostname === "api.github.com" || hostname === "github.com") continue;
+    patterns.add(`${protocol}//${hostname}/*`);
+  }
+  return [...patterns];
+}
+
+/**
+ * Make sure the extension may call the hosts of `urls` (the API base, and
+ * the OAuth base for sign-in). Prompts while there is a user gesture;
+ * without one (connect after OAuth) it can only check for an earlier grant.
+ */
+async function requestHostAccess(urls) {
+  const origins = hostPatterns(urls);
+  if (!origins.length) return true;
+  try {
+    return await chrome.permissions.request({ origins });
+  } catch {
+    return chrome.permissions.contains({ origins });
+  }
+}
+
+// ─── OAuth device flow ──────────────────────────────────────
+// The background polls (the popup closes when the verification page opens)
+// and leaves progress in storage.oauthFlow; the token it gets goes through
+// connect() like a pasted one.
+
+async function initOAuth() {
+  const { oauthFlow, oauthSettings } = await chrome.storage.local.get([
+    "oauthFlow",
+    "oauthSettings",
+  ]);
+  // Reopened mid-flow: back to the host the flow runs on.
+  if (oauthFlow?.apiBase) {
+    apiBaseInput.value = oauthFlow.apiBase;
+    hostPanel.classList.remove("hidden");
+    hostToggle.classList.add("open");
+  }
+  // Stored values only: empty means the bundled client id, and the host's
+  // own web URL (shown as the placeholder).
+  oauthClientInput.value = oauthSettings?.clientId || "";
+  oauthBaseInput.value = oauthSettings?.base || "";
+  oauthScopeInput.value = oauthSettings?.scope || OAUTH_DEFAULTS.scope;
+  applySetupHost();
+
+  renderOAuthFlow(oauthFlow);
+  // The worker may have been restarted mid-poll.
+  if (oauthFlow?.status === "pending") chrome.runtime.sendMessage({ type: "OAUTH_RESUME" });
+}
+
+/**
+ * The sign-in button and [oauth] settings for the flow's current host. The
+ * client id field only shows where no client id ships (GHES, a local mock).
+ */
+async function renderOAuthSettings() {
+  const settings = await getOAuthSettings(setupApiBase);
+  oauthClientField.classList.toggle("hidden", Boolean(bundledClientId(settings.base)));
+  oauthBtn.disabled = !settings.clientId;
+  oauthBtn.title = settings.clientId ? "" : "Set an OAuth client id under [oauth] app settings";
+  oauthHint.classList.toggle("hidden", Boolean(settings.clientId));
+}
+
+let oauthConnecting = false;
+
+function renderOAuthFlow(flow) {
+  oauthFlowEl.classList.toggle("hidden", !flow);
+  oauthBtn.classList.toggle("hidden", Boolean(flow));
+  if (!flow) return;
+
+  if (flow.status === "authorized") {
+    if (oauthConnecting) return;
+    oauthConnecting = true;
+    oauthInfo.textContent = "> approved — connecting…";
+    chrome.storage.local
+      .remove("oauthFlow")
+      .then(() => connect(flow.token))
+      .finally(() => (oauthConnecting = false));
+    return;
+  }
+
+  oauthLink.href = flow.verificationUri || "#";
+  oauthLink.textContent = `${(flow.verificationUri || "").replace(/^https?:\/\//, "")} ↗`;
+  oauthCode.textContent = flow.userCode || "—";
+  if (flow.status === "error") {
+    oauthInfo.textContent = `> ERROR: ${flow.error}`;
+    oauthCancelBtn.textContent = "CLOSE";
+  } else {
+    const mins = Math.max(0, Math.ceil((flow.expiresAt - Date.now()) / 60000));
+    oauthInfo.textContent = `> waiting for approval… (code valid ${mins} min)`;
+    oauthCancelBtn.textContent = "CANCEL";
+  }
+}
+
+oauthBtn.addEventListener("click", async () => {
+  hideError(setupError);
+  const apiBase = setupApiBase;
+  // Read synchronously: the permission prompt needs the click's user gesture.
+  const oauthBase = oauthBaseInput.value.trim() || webUrl("");
+  let granted;
+  try {
+    granted = await requestHostAccess([apiBase, oauthBase]);
+  } catch {
+    showError(setupError, `> ERROR: invalid OAuth base URL "${oauthBase}"`);
+    return;
+  }
+  if (!granted) {
+    const hosts = [apiBase, oauthBase].map((url) => new URL(url).host);
+    showError(setupError, `> ERROR: no access to ${[...new Set(hosts)].join(", ")} — allow it to sign in`);
+    return;
+  }
+  oauthBtn.disabled = true;
+  const response = await chrome.runtime.sendMessage({
+    type: "OAUTH_START",
+    apiBase: apiBase === DEFAULT_API_BASE ? null : apiBase,
+  });
+  oauthBtn.disabled = false;
+  if (!response?.ok) showError(setupError, `> OAUTH_FAILED: ${response?.error || "unknown error"}`);
+});
+
+oauthCopyBtn.addEventListener("click", async () => {
+  await navigator.clipboard.writeText(oauthCode.textContent);
+  oauthCopyBtn.textContent = "COPIED";
+  setTimeout(() => (oauthCopyBtn.textContent = "COPY_CODE"), 1500);
+});
+
+oauthCancelBtn.addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "OAUTH_CANCEL" });
+});
+
+oauthSettingsToggle.addEventListener("click", () => {
+  oauthSettingsPanel.classList.toggle("hidden");
+  oauthSettingsToggle.classList.toggle("open");
+});
+
+for (const input of [oauthClientInput, oauthBaseInput, oauthScopeInput]) {
+  input.addEventListener("change", async () => {
+    const oauthSettings = {
+      clientId: oauthClientInput.value.trim(),
+      base: oauthBaseInput.value.trim().replace(/\/+$/, ""),
+      scope: oauthScopeInput.value.trim() || OAUTH_DEFAULTS.scope,
+    };
+    await chrome.storage.local.set({ oauthSettings });
+    await renderOAuthSettings();
+  });
+}
+
+// ─── Toggle enable/disable ──────────────────────────────────
+toggleBtn.addEventListener("click", async () => {
+  const { config } = await chrome.storage.local.get("config");
+  if (!config) return;
+
+  // While a pause-until is active, RESUME ends the pause early.
+  const today = dateKey(new Date(), resolveTimeZone(config.timezone));
+  if (config.enabled && config.pauseUntil > today) {
+    config.pauseUntil = null;
+  } else {
+    config.enabled = !config.enabled;
+  }
   await chrome.storage.local.set({ config });
 
   if (config.enabled) {
@@ -516,10 +2518,12 @@ disconnectBtn.addEventListener("click", async () => {
   }
   chrome.runtime.sendMessage({ type: "STOP" });
   await chrome.storage.local.clear();
+  await lockVault();
   tokenInput.value = "";
   commitsInput.value = 3;
   hideError(dashboardError);
   showSection(setupSection);
+  applySetupHost();
 });
 
 // ─── Boot ───────────────────────────────────────────────────
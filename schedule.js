@@ -0,0 +1,235 @@
+// schedule.js — Timezone-aware day/time helpers and per-weekday schedule rules.
+// Shared by the background and the popup so both agree on what "today" is.
+
+export const WEEKDAYS = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+export const DEFAULT_WINDOW = { start: "06:00", end: "22:00" };
+
+// ─── Timezone ───────────────────────────────────────────────
+
+export function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+export function isValidTimeZone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The configured IANA zone, or the browser's own when unset/invalid.
+ */
+export function resolveTimeZone(tz) {
+  return isValidTimeZone(tz) ? tz : browserTimeZone();
+}
+
+const partsFormatters = new Map();
+
+/**
+ * Wall-clock parts of `date` in `tz`: { year, month, day, hour, minute, second }.
+ */
+export function zonedParts(date, tz) {
+  const zone = resolveTimeZone(tz);
+  let fmt = partsFormatters.get(zone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: zone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    partsFormatters.set(zone, fmt);
+  }
+  const parts = {};
+  for (const p of fmt.formatToParts(date)) {
+    if (p.type !== "literal") parts[p.type] = Number(p.value);
+  }
+  return parts;
+}
+
+/**
+ * Short zone name for hints (e.g. "EST", "GMT+5").
+ */
+export function tzAbbrev(tz, date = new Date()) {
+  return (
+    new Intl.DateTimeFormat(undefined, {
+      timeZone: resolveTimeZone(tz),
+      timeZoneName: "short",
+    })
+      .formatToParts(date)
+      .find((p) => p.type === "timeZoneName")?.value || "local"
+  );
+}
+
+// ─── Day keys ("YYYY-MM-DD") ────────────────────────────────
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+export function dateKey(date, tz) {
+  const p = zonedParts(date, tz);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+export function addDays(key, n) {
+  const [y, m, d] = key.split("-").map(Number);
+  const t = new Date(Date.UTC(y, m - 1, d + n));
+  return t.toISOString().slice(0, 10);
+}
+
+export function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / 86400000);
+}
+
+/** 0 = Sunday … 6 = Saturday */
+export function weekdayOf(key) {
+  return new Date(`${key}T00:00:00Z`).getUTCDay();
+}
+
+// ─── Times of day ───────────────────────────────────────────
+
+export function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+export function minutesToHHMM(mins) {
+  return `${pad(Math.floor(mins / 60))}:${pad(mins % 60)}`;
+}
+
+/** Minutes after midnight of `date` on the wall clock of `tz`. */
+export function minutesOfDay(date, tz) {
+  const p = zonedParts(date, tz);
+  return p.hour * 60 + p.minute;
+}
+
+export function formatHHMM(date, tz) {
+  return minutesToHHMM(minutesOfDay(date, tz));
+}
+
+/**
+ * The instant at which the wall clock in `tz` reads `minutes` after midnight
+ * on day `key`. Minutes may run past 24h; a wall time skipped by a DST jump
+ * lands an hour early.
+ */
+export function zonedDate(key, minutes, tz) {
+  const [y, m, d] = key.split("-").map(Number);
+  const wall = Date.UTC(y, m - 1, d, 0, 0) + minutes * 60000;
+  const offsetAt = (t) => {
+    const p = zonedParts(new Date(t), tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - t;
+  };
+  let t = wall - offsetAt(wall);
+  t = wall - offsetAt(t);
+  return new Date(t);
+}
+
+// ─── Weekday rules ──────────────────────────────────────────
+
+/**
+ * Default rule for every weekday: active 06:00–22:00, commitsPerDay commits.
+ * `commits: null` means "use commitsPerDay".
+ */
+export function defaultWeekdayRules() {
+  return WEEKDAYS.map(() => ({
+    enabled: true,
+    start: DEFAULT_WINDOW.start,
+    end: DEFAULT_WINDOW.end,
+    commits: null,
+  }));
+}
+
+/**
+ * Effective rule for day `key`: { enabled, start, end, commits, paused }.
+ * A paused or blacked-out day is never enabled.
+ */
+export function dayRule(config, key) {
+  const rules = config?.weekdayRules || defaultWeekdayRules();
+  const rule = rules[weekdayOf(key)] || {};
+  const commits =
+    rule.commits === null || rule.commits === undefined
+      ? config?.commitsPerDay || 1
+      : rule.commits;
+  const paused = pauseFor(config, key);
+  return {
+    enabled: !paused && rule.enabled !== false && commits > 0,
+    start: rule.start || DEFAULT_WINDOW.start,
+    end: rule.end || DEFAULT_WINDOW.end,
+    commits,
+    paused,
+  };
+}
+
+/** How many commits day `key` should get (0 on days off). */
+export function dailyTarget(config, key) {
+  const rule = dayRule(config, key);
+  return rule.enabled ? rule.commits : 0;
+}
+
+/**
+ * Returns an error string for the first invalid rule, or null.
+ */
+export function validateWeekdayRules(rules) {
+  if (!Array.isArray(rules) || rules.length !== 7) return "expected 7 weekday rules";
+  for (let i = 0; i < 7; i++) {
+    const r = rules[i];
+    if (!r.enabled) continue;
+    if (!/^\d{2}:\d{2}$/.test(r.start) || !/^\d{2}:\d{2}$/.test(r.end)) {
+      return `${WEEKDAYS[i]}: invalid time`;
+    }
+    if (toMinutes(r.end) <= toMinutes(r.start)) {
+      return `${WEEKDAYS[i]}: window must end after it starts`;
+    }
+    if (r.commits !== null && (r.commits < 0 || r.commits > 20)) {
+      return `${WEEKDAYS[i]}: commits must be 0–20`;
+    }
+  }
+  return null;
+}
+
+// ─── Pauses & blackouts ─────────────────────────────────────
+
+/**
+ * Whether blackout `b` ({ start, end, yearly }) covers day `key`.
+ * Yearly ranges compare month-day only and may wrap the new year.
+ */
+export function blackoutCovers(b, key) {
+  if (!b.yearly) return b.start <= key && key <= b.end;
+  const from = b.start.slice(5);
+  const to = b.end.slice(5);
+  const day = key.slice(5);
+  return from <= to ? from <= day && day <= to : day >= from || day <= to;
+}
+
+/**
+ * Why day `key` is off-limits — { reason: "pause" | "blackout", label } —
+ * or null when commits may run. `config.pauseUntil` is the resume day.
+ */
+export function pauseFor(config, key) {
+  if (config?.pauseUntil && key < config.pauseUntil) {
+    return { reason: "pause", label: null };
+  }
+  const hit = (config?.blackouts || []).find((b) => blackoutCovers(b, key));
+  return hit ? { reason: "blackout", label: hit.label || null } : null;
+}
+
+/**
+ * First day on or after `key` that is neither paused nor blacked out.
+ */
+export function resumeDay(config, key) {
+  let day = key;
+  for (let i = 0; i < 800; i++) {
+    if (!pauseFor(config, day)) return day;
+    day = addDays(day, 1);
+  }
+  return null;
+}
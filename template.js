@@ -0,0 +1,113 @@
+// template.js — User templates for what each commit writes: file path, file
+// content and commit message, with {{placeholders}}. Shared by the
+// background (renders each commit) and the popup (validation + preview).
+
+import { validateFilePath } from "./github-api.js";
+import { dateKey, formatHHMM, resolveTimeZone, zonedParts } from "./schedule.js";
+
+export const PLACEHOLDERS = [
+  "date", // 2026-10-19 (configured timezone)
+  "time", // 14:05
+  "iso", // 2026-10-19T12:05:31.000Z
+  "weekday", // Monday
+  "year",
+  "month",
+  "day",
+  "counter", // 1, 2, 3, … across all commits
+  "mode", // random | fixed | force | backfill
+  "word", // a random pick from the word list, per occurrence
+  "nonce", // 8 random characters
+];
+
+// What commits wrote before templates existed. An empty path means
+// config.filePath.
+export const DEFAULT_TEMPLATE = {
+  path: "",
+  content: "ghost commit @ {{iso}} [{{nonce}}]\n",
+  message: "👻 ghost commit — {{iso}}",
+  mode: "overwrite", // "overwrite" | "append"
+  words: [],
+};
+
+const MAX_CONTENT = 64 * 1024;
+const PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+export function templateFor(config) {
+  return { ...DEFAULT_TEMPLATE, ...config?.template };
+}
+
+/**
+ * Placeholder values for one commit. `date` is the commit's timestamp;
+ * `counter` its running number.
+ */
+export function templateContext({ date, timeZone, counter, mode, words = [] }) {
+  const tz = resolveTimeZone(timeZone);
+  const p = zonedParts(date, tz);
+  const pad = (n) => String(n).padStart(2, "0");
+  return {
+    date: dateKey(date, tz),
+    time: formatHHMM(date, tz),
+    iso: date.toISOString(),
+    weekday: new Intl.DateTimeFormat("en-US", { weekday: "long", timeZone: tz }).format(date),
+    year: String(p.year),
+    month: pad(p.month),
+    day: pad(p.day),
+    counter: String(counter),
+    mode,
+    word: () => (words.length ? words[Math.floor(Math.random() * words.length)] : ""),
+    nonce: () => Math.random().toString(36).slice(2, 10),
+  };
+}
+
+function fill(text, context) {
+  return text.replace(PATTERN, (match, name) => {
+    const value = context[name];
+    if (value === undefined) return match;
+    return typeof value === "function" ? value() : value;
+  });
+}
+
+/**
+ * Render `template` for one commit: { path, content, message, append }.
+ * `path` is "" when the template leaves it to config.filePath.
+ */
+export function renderTemplate(template, context) {
+  const t = { ...DEFAULT_TEMPLATE, ...template };
+  return {
+    path: fill(t.path, context).trim(),
+    content: fill(t.content, context),
+    message: fill(t.message, context).trim(),
+    append: t.mode === "append",
+  };
+}
+
+/**
+ * Error string for the first problem in `template`, or null.
+ */
+export function validateTemplate(template) {
+  const t = { ...DEFAULT_TEMPLATE, ...template };
+  for (const field of ["path", "content", "message"]) {
+    for (const [, name] of t[field].matchAll(PATTERN)) {
+      if (!PLACEHOLDERS.includes(name)) return `${field}: unknown placeholder {{${name}}}`;
+      if (name === "word" && !t.words.length) return `${field}: {{word}} needs a word list`;
+    }
+  }
+  if (!["overwrite", "append"].includes(t.mode)) return "mode must be overwrite or append";
+  if (!t.content.trim()) return "content is empty";
+  if (t.content.length > MAX_CONTENT) return "content is over 64 KB";
+
+  const sample = renderTemplate(
+    t,
+    templateContext({ date: new Date(), timeZone: null, counter: 1, mode: "random", words: t.words })
+  );
+  if (!sample.message) return "message is empty";
+  if (t.path) {
+    const problem = validateFilePath(sample.path);
+    if (problem) return `path: ${problem}`;
+  }
+  // Overwriting with identical content makes an empty commit every time.
+  if (t.mode === "overwrite" && !/\{\{\s*(iso|nonce|counter|time)\s*\}\}/.test(t.content)) {
+    return "overwrite content needs {{iso}}, {{time}}, {{counter}} or {{nonce}} so each commit changes the file";
+  }
+  return null;
+}
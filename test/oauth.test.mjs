@@ -0,0 +1,136 @@
+// oauth.test.mjs — Runs the device flow against a local mock of GitHub's two
+// OAuth endpoints, scripted per test: approval after authorization_pending
+// and slow_down, a denial, and an expired code.
+//
+//   node --test test/
+
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createServer } from "node:http";
+import { after, before, test } from "node:test";
+
+import { pollForToken, requestDeviceCode } from "../oauth.js";
+
+// Polling waits `interval` seconds between requests; keep the tests fast.
+const INTERVAL = 0.01;
+
+let server;
+let settings;
+let script = []; // responses for /login/oauth/access_token, in order
+let polls = []; // form bodies the mock received there
+
+before(async () => {
+  server = createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const form = Object.fromEntries(new URLSearchParams(body));
+    const reply = (status, data) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.method === "POST" && req.url === "/login/device/code") {
+      if (form.client_id !== "test-client") return reply(200, { error: "unauthorized_client" });
+      return reply(200, {
+        device_code: "device-123",
+        user_code: "ABCD-1234",
+        verification_uri: `${settings.base}/login/device`,
+        expires_in: 900,
+        interval: INTERVAL,
+      });
+    }
+    if (req.method === "POST" && req.url === "/login/oauth/access_token") {
+      polls.push(form);
+      return reply(200, script.shift() ?? { error: "unexpected_poll" });
+    }
+    reply(404, { error: "not_found" });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  settings = {
+    clientId: "test-client",
+    base: `http://127.0.0.1:${server.address().port}`,
+    scope: "repo user:email",
+  };
+});
+
+after(() => server.close());
+
+function device() {
+  return {
+    deviceCode: "device-123",
+    userCode: "ABCD-1234",
+    verificationUri: `${settings.base}/login/device`,
+    expiresAt: Date.now() + 60000,
+    interval: INTERVAL,
+  };
+}
+
+function run(responses) {
+  script = [...responses];
+  polls = [];
+  return pollForToken(settings, device());
+}
+
+test("requestDeviceCode returns the code and polling interval", async () => {
+  const start = Date.now();
+  const code = await requestDeviceCode(settings);
+  assert.equal(code.deviceCode, "device-123");
+  assert.equal(code.userCode, "ABCD-1234");
+  assert.equal(code.verificationUri, `${settings.base}/login/device`);
+  assert.equal(code.interval, INTERVAL);
+  assert.ok(code.expiresAt >= start + 900000);
+});
+
+test("requestDeviceCode surfaces an error from GitHub", async () => {
+  await assert.rejects(requestDeviceCode({ ...settings, clientId: "other" }), /unauthorized_client/);
+  await assert.rejects(requestDeviceCode({ ...settings, clientId: "" }), /No OAuth client id/);
+});
+
+test("authorization_pending keeps polling until the token arrives", async () => {
+  const token = await run([
+    { error: "authorization_pending" },
+    { error: "authorization_pending" },
+    { access_token: "gho_test", token_type: "bearer", scope: "repo,user:email" },
+  ]);
+  assert.equal(token, "gho_test");
+  assert.equal(polls.length, 3);
+  for (const form of polls) {
+    assert.equal(form.client_id, "test-client");
+    assert.equal(form.device_code, "device-123");
+    assert.equal(form.grant_type, "urn:ietf:params:oauth:grant-type:device_code");
+  }
+});
+
+test("slow_down adopts the interval GitHub sends and keeps polling", async () => {
+  const started = Date.now();
+  const token = await run([{ error: "slow_down", interval: 0.2 }, { access_token: "gho_slow" }]);
+  assert.equal(token, "gho_slow");
+  assert.equal(polls.length, 2);
+  assert.ok(Date.now() - started >= 200, "waited the new interval before the next poll");
+});
+
+test("access_denied stops polling", async () => {
+  await assert.rejects(run([{ error: "authorization_pending" }, { error: "access_denied" }]), /sign-in denied/);
+  assert.equal(polls.length, 2);
+});
+
+test("expired_token stops polling", async () => {
+  await assert.rejects(run([{ error: "expired_token" }]), /code expired/);
+  assert.equal(polls.length, 1);
+});
+
+test("a code past its expiry isn't polled again", async () => {
+  script = [];
+  polls = [];
+  await assert.rejects(pollForToken(settings, { ...device(), expiresAt: Date.now() - 1 }), /code expired/);
+  assert.equal(polls.length, 0);
+});
+
+test("aborting the signal cancels the wait", async () => {
+  const controller = new AbortController();
+  script = [];
+  const poll = pollForToken(settings, { ...device(), interval: 10 }, { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(poll, /sign-in cancelled/);
+});
@@ -0,0 +1,200 @@
+// pgp.test.mjs — Signs a fixed commit payload with throwaway keys and checks
+// the signatures independently of pgp.js: with WebCrypto against the key's
+// public half, and with gpg --verify when gpg is installed.
+//
+//   node --test test/
+
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { test } from "node:test";
+
+import { importSigningKey, signPayload } from "../pgp.js";
+
+const FIXTURES = new URL("./fixtures/", import.meta.url);
+
+// Throwaway keys made for this test only (gpg --quick-gen-key, --quick-add-key).
+const KEYS = [
+  {
+    file: "ed25519-protected.asc",
+    passphrase: "ghost test passphrase",
+    algorithm: "ed25519",
+    userId: "Ghost Test Ed25519 <ed25519@example.com>",
+  },
+  { file: "rsa.asc", passphrase: "", algorithm: "rsa", userId: "Ghost Test RSA <rsa@example.com>" },
+  // NIST P-256 certify-only primary, an RSA encryption subkey, then an
+  // Ed25519 signing subkey: only the last may sign.
+  {
+    file: "signing-subkey.asc",
+    passphrase: "",
+    algorithm: "ed25519",
+    userId: "Ghost Test Subkeys <subkeys@example.com>",
+    fingerprint: "2FF4105A389AEB2A7D2ADBA2E49D3F24FD263827",
+  },
+];
+
+const PAYLOAD = [
+  "tree 4b825dc642cb6eb9a060e54bf8d69288fbee4904",
+  "parent 8f2d4cbf1b5b0f1b2d7e1a9c3e5f7a9b1c3d5e7f",
+  "author Ghost Test <ghost@example.com> 1792439557 +0000",
+  "committer Ghost Test <ghost@example.com> 1792439557 +0000",
+  "",
+  "👻 ghost commit — 2026-10-19T12:00:00.000Z",
+].join("\n");
+
+function armored(name) {
+  return readFileSync(new URL(name, FIXTURES), "utf8");
+}
+
+function fromB64(text) {
+  return Uint8Array.from(Buffer.from(text, "base64"));
+}
+
+function fromB64Url(text) {
+  return Uint8Array.from(Buffer.from(text, "base64url"));
+}
+
+function leftPad(bytes, length) {
+  const out = new Uint8Array(length);
+  out.set(bytes, length - bytes.length);
+  return out;
+}
+
+/**
+ * The fields of the one v4 signature packet in an armored signature.
+ */
+function parseSignature(text) {
+  const lines = text.trim().split("\n");
+  assert.equal(lines[0], "-----BEGIN PGP SIGNATURE-----");
+  assert.equal(lines.at(-1), "-----END PGP SIGNATURE-----");
+  const body = lines.slice(2, -1).filter((l) => !l.startsWith("="));
+  const bytes = fromB64(body.join(""));
+
+  assert.equal(bytes[0], 0xc2, "new-format signature packet");
+  let pos = 1;
+  let length = bytes[pos++];
+  if (length >= 192) length = ((length - 192) << 8) + bytes[pos++] + 192;
+  const packet = bytes.subarray(pos, pos + length);
+  assert.equal(pos + length, bytes.length, "nothing after the packet");
+
+  const [version, type, algo, hash] = packet;
+  const hashedLength = (packet[4] << 8) | packet[5];
+  const head = packet.subarray(0, 6 + hashedLength);
+  let p = head.length;
+  const unhashedLength = (packet[p] << 8) | packet[p + 1];
+  p += 2 + unhashedLength;
+  const left16 = packet.subarray(p, p + 2);
+  p += 2;
+  const mpis = [];
+  while (p < packet.length) {
+    const bits = (packet[p] << 8) | packet[p + 1];
+    const n = (bits + 7) >> 3;
+    mpis.push(packet.subarray(p + 2, p + 2 + n));
+    p += 2 + n;
+  }
+  return { version, type, algo, hash, head, left16, mpis };
+}
+
+async function verifyWithWebCrypto(key, signature) {
+  const sig = parseSignature(signature);
+  assert.equal(sig.version, 4);
+  assert.equal(sig.type, 0x00, "binary document signature");
+  assert.equal(sig.hash, 8, "SHA-256");
+
+  const trailer = new Uint8Array([4, 0xff, 0, 0, 0, 0]);
+  new DataView(trailer.buffer).setUint32(2, sig.head.length);
+  const signed = Buffer.concat([Buffer.from(PAYLOAD, "utf8"), sig.head, trailer]);
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", signed));
+  // The packet carries the digest's first two bytes as a quick check.
+  if (sig.left16[0] !== digest[0] || sig.left16[1] !== digest[1]) return false;
+
+  // Only the public half of the key.
+  if (key.algorithm === "rsa") {
+    const { kty, n, e } = key.jwk;
+    const pub = await crypto.subtle.importKey(
+      "jwk",
+      { kty, n, e },
+      { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+      false,
+      ["verify"]
+    );
+    const bytes = leftPad(sig.mpis[0], fromB64Url(n).length);
+    return crypto.subtle.verify("RSASSA-PKCS1-v1_5", pub, bytes, signed);
+  }
+  const { kty, crv, x } = key.jwk;
+  const pub = await crypto.subtle.importKey("jwk", { kty, crv, x }, "Ed25519", false, ["verify"]);
+  const bytes = Buffer.concat([leftPad(sig.mpis[0], 32), leftPad(sig.mpis[1], 32)]);
+  return crypto.subtle.verify("Ed25519", pub, bytes, digest);
+}
+
+function hasGpg() {
+  try {
+    execFileSync("gpg", ["--version"], { stdio: "ignore" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+for (const fixture of KEYS) {
+  test(`${fixture.file}: imports and signs a commit payload`, async () => {
+    const key = await importSigningKey(armored(fixture.file), fixture.passphrase);
+    assert.equal(key.algorithm, fixture.algorithm);
+    assert.equal(key.userId, fixture.userId);
+    assert.match(key.fingerprint, /^[0-9A-F]{40}$/);
+    if (fixture.fingerprint) assert.equal(key.fingerprint, fixture.fingerprint);
+    assert.equal(key.keyId, key.fingerprint.slice(-16));
+
+    const signature = await signPayload(key, PAYLOAD, new Date("2026-10-19T12:00:00Z"));
+    assert.equal(await verifyWithWebCrypto(key, signature), true);
+
+    // A flipped byte in the signature value fails.
+    const bytes = Buffer.from(signature.split("\n").slice(2, -3).join(""), "base64");
+    bytes[bytes.length - 5] ^= 1;
+    const lines = bytes.toString("base64").match(/.{1,64}/g);
+    const tampered = ["-----BEGIN PGP SIGNATURE-----", "", ...lines, "-----END PGP SIGNATURE-----"].join("\n");
+    assert.equal(await verifyWithWebCrypto(key, tampered), false);
+
+    // A signature over anything else doesn't check out against the payload.
+    const other = await signPayload(key, `${PAYLOAD}!`, new Date("2026-10-19T12:00:00Z"));
+    assert.equal(await verifyWithWebCrypto(key, other), false);
+  });
+
+  const skip = !hasGpg() && "gpg not installed";
+  test(`${fixture.file}: gpg --verify accepts the signature`, { skip }, async () => {
+    const key = await importSigningKey(armored(fixture.file), fixture.passphrase);
+    const signature = await signPayload(key, PAYLOAD);
+
+    const home = mkdtempSync(join(tmpdir(), "ghost-pgp-"));
+    try {
+      const gpg = (...args) =>
+        execFileSync("gpg", ["--homedir", home, "--batch", "--pinentry-mode", "loopback", ...args], {
+          stdio: "pipe",
+          timeout: 30000,
+        });
+      gpg("--passphrase", fixture.passphrase, "--import", new URL(fixture.file, FIXTURES).pathname);
+      writeFileSync(join(home, "payload"), PAYLOAD);
+      writeFileSync(join(home, "payload.asc"), signature);
+      gpg("--verify", join(home, "payload.asc"), join(home, "payload")); // throws on a bad signature
+    } finally {
+      try {
+        execFileSync("gpgconf", ["--homedir", home, "--kill", "gpg-agent"], { stdio: "ignore" });
+      } catch {
+        // no agent was started
+      }
+      rmSync(home, { recursive: true, force: true });
+    }
+  });
+}
+
+test("a wrong passphrase is rejected", async () => {
+  await assert.rejects(importSigningKey(armored("ed25519-protected.asc"), "wrong"), /wrong key passphrase/);
+  await assert.rejects(importSigningKey(armored("ed25519-protected.asc")), /passphrase-protected/);
+});
+
+test("a key with no signing-capable key is rejected", async () => {
+  // NIST P-256 certify-only primary with just an RSA encryption subkey.
+  await assert.rejects(importSigningKey(armored("encrypt-only.asc")), /no RSA or Ed25519 signing key/);
+});
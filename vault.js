@@ -0,0 +1,152 @@
+// vault.js — Optional passphrase encryption for the stored access token.
+// The token is sealed with AES-GCM under a key derived from the passphrase
+// (PBKDF2-SHA256). Unlocking keeps the derived key in chrome.storage.session,
+// which lives in memory and is gone when the browser closes. While no key is
+// there the token can't be read and the scheduler sits out ("locked").
+//
+// With a vault, config.token is null and config.tokenVault is
+// { salt, iv, ciphertext, iterations } (base64).
+
+const PBKDF2_ITERATIONS = 310000;
+const SESSION_KEY = "vaultKey";
+
+function toB64(bytes) {
+  let bin = "";
+  for (const b of new Uint8Array(bytes)) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+function fromB64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  // Extractable so the unlocked key can be parked in session storage.
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function importRawKey(raw) {
+  return crypto.subtle.importKey("raw", fromB64(raw), "AES-GCM", false, ["encrypt", "decrypt"]);
+}
+
+async function encrypt(text, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(text)
+  );
+  return { iv: toB64(iv), ciphertext: toB64(ciphertext) };
+}
+
+async function seal(token, key, salt, iterations) {
+  return { salt: toB64(salt), ...(await encrypt(token, key)), iterations };
+}
+
+async function open(vault, key) {
+  const plain = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromB64(vault.iv) },
+    key,
+    fromB64(vault.ciphertext)
+  );
+  return new TextDecoder().decode(plain);
+}
+
+async function rememberKey(key) {
+  const raw = await crypto.subtle.exportKey("raw", key);
+  await chrome.storage.session.set({ [SESSION_KEY]: toB64(raw) });
+}
+
+/**
+ * Encrypt `token` under `passphrase` and unlock it for this session.
+ * Returns the vault to store as config.tokenVault.
+ */
+export async function createVault(token, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const vault = await seal(token, key, salt, PBKDF2_ITERATIONS);
+  await rememberKey(key);
+  return vault;
+}
+
+/**
+ * Re-encrypt a replacement token with the session key (same passphrase).
+ * Throws while locked.
+ */
+export async function resealVault(vault, token) {
+  const { [SESSION_KEY]: raw } = await chrome.storage.session.get(SESSION_KEY);
+  if (!raw) throw new Error("LOCKED: unlock the token first");
+  return seal(token, await importRawKey(raw), fromB64(vault.salt), vault.iterations);
+}
+
+/**
+ * Check `passphrase` against the vault and keep the key for the session.
+ * Returns the token; throws on a wrong passphrase.
+ */
+export async function unlockVault(vault, passphrase) {
+  const key = await deriveKey(passphrase, fromB64(vault.salt), vault.iterations);
+  let token;
+  try {
+    token = await open(vault, key);
+  } catch {
+    throw new Error("wrong passphrase");
+  }
+  await rememberKey(key);
+  return token;
+}
+
+/**
+ * Encrypt another secret (the commit signing key) with the session key, so
+ * it is readable exactly when the token is. Returns { iv, ciphertext };
+ * throws while locked.
+ */
+export async function sealSecret(text) {
+  const { [SESSION_KEY]: raw } = await chrome.storage.session.get(SESSION_KEY);
+  if (!raw) throw new Error("LOCKED: unlock the token first");
+  return encrypt(text, await importRawKey(raw));
+}
+
+/**
+ * Decrypt a sealSecret result, or null while locked.
+ */
+export async function openSecret(sealed) {
+  const { [SESSION_KEY]: raw } = await chrome.storage.session.get(SESSION_KEY);
+  if (!raw || !sealed) return null;
+  try {
+    return await open(sealed, await importRawKey(raw));
+  } catch {
+    return null; // sealed under an older vault
+  }
+}
+
+export async function lockVault() {
+  await chrome.storage.session.remove(SESSION_KEY);
+}
+
+/**
+ * The usable token for `config`: the plain one, the decrypted one while
+ * unlocked, or null while locked.
+ */
+export async function resolveToken(config) {
+  if (!config?.tokenVault) return config?.token || null;
+  const { [SESSION_KEY]: raw } = await chrome.storage.session.get(SESSION_KEY);
+  if (!raw) return null;
+  try {
+    return await open(config.tokenVault, await importRawKey(raw));
+  } catch {
+    return null; // key from an older vault
+  }
+}